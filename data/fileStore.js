@@ -1,19 +1,195 @@
 const fs = require('fs');
 const fsp = require('fs/promises');
+const os = require('os');
 const path = require('path');
 
+// Writers wait this long for another process to release a file's lock.
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 25;
+// A write never holds the lock this long; older locks are left over from a crash.
+const STALE_LOCK_MS = 30000;
+
+// Per-file promise chains so writers in this process take turns before
+// competing with other processes for the lock file.
+const queues = new Map();
+
+function lockPathFor(filePath) {
+  return `${filePath}.lock`;
+}
+
+function backupPathFor(filePath) {
+  return `${filePath}.bak`;
+}
+
+function parseJson(text) {
+  return text.trim() ? JSON.parse(text) : [];
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+async function isStaleLock(lockPath) {
+  let lock;
+  try {
+    lock = JSON.parse(await fsp.readFile(lockPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    // Unreadable: the owner may still be writing it, so go by its age.
+    const stats = await fsp.stat(lockPath).catch(() => null);
+    return Boolean(stats) && Date.now() - stats.mtimeMs > STALE_LOCK_MS;
+  }
+  if (Date.now() - Date.parse(lock.acquiredAt) > STALE_LOCK_MS) return true;
+  // The owning process can only be checked when it runs on this host.
+  return lock.host === os.hostname() && !isProcessAlive(lock.pid);
+}
+
+/**
+ * Creates filePath's lock file, waiting for other processes to release
+ * theirs. Resolves to a release function.
+ */
+async function acquireLock(filePath) {
+  const lockPath = lockPathFor(filePath);
+  const lock = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      await fsp.writeFile(lockPath, lock, { encoding: 'utf8', flag: 'wx' });
+      return () => {
+        try {
+          if (fs.readFileSync(lockPath, 'utf8') === lock) fs.rmSync(lockPath, { force: true });
+        } catch (err) {
+          if (err.code !== 'ENOENT') console.error(`Failed to release lock ${lockPath}:`, err.message);
+        }
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (await isStaleLock(lockPath)) {
+      console.warn(`Removing stale lock ${lockPath}`);
+      await fsp.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the lock on ${filePath}.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Runs task while holding filePath's lock, after earlier writers in this process.
+function withLock(filePath, task) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const run = previous.then(async () => {
+    const release = await acquireLock(filePath);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  });
+  const settled = run.catch(() => {});
+  queues.set(filePath, settled);
+  settled.then(() => {
+    if (queues.get(filePath) === settled) queues.delete(filePath);
+  });
+  return run;
+}
+
+// Writes text to a temp file beside filePath, flushes it and renames it over
+// filePath, so readers see either the old or the new contents in full.
+async function replaceFile(filePath, text) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fsp.open(tempPath, 'w');
+  try {
+    await handle.writeFile(text, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fsp.rename(tempPath, filePath);
+  } catch (err) {
+    await fsp.rm(tempPath, { force: true });
+    throw err;
+  }
+  // Persist the rename itself; not every platform can open a directory.
+  try {
+    const dir = await fsp.open(path.dirname(filePath), 'r');
+    try {
+      await dir.sync();
+    } finally {
+      await dir.close();
+    }
+  } catch (err) {
+    // Best effort.
+  }
+}
+
+// Reads and parses filePath without locking; a missing file reads as [].
+async function readUnlocked(filePath) {
+  try {
+    return parseJson(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Keeps the current contents as filePath.bak (when they parse), then
+// replaces the file. The caller holds the lock.
+async function writeUnlocked(filePath, payload) {
+  try {
+    const current = await fsp.readFile(filePath, 'utf8');
+    if (current.trim()) {
+      JSON.parse(current);
+      await replaceFile(backupPathFor(filePath), current);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+  }
+  await replaceFile(filePath, JSON.stringify(payload, null, 2));
+}
+
 /**
  * Ensures a JSON file exists at the given path. If it does not exist, creates
- * it with an empty array so the rest of the app can assume it is present.
+ * it with initial (an empty array by default) so the rest of the app can
+ * assume it is present. A file that no longer parses is restored from its
+ * .bak copy, keeping the damaged one as .corrupt-<timestamp>.
  */
-function ensureFileSync(filePath) {
+function ensureFileSync(filePath, initial = []) {
   const dir = path.dirname(filePath);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 
   if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, '[]', 'utf8');
+    fs.writeFileSync(filePath, JSON.stringify(initial, null, 2), 'utf8');
+    return;
+  }
+
+  try {
+    parseJson(fs.readFileSync(filePath, 'utf8'));
+    return;
+  } catch (err) {
+    console.error(`JSON file ${filePath} is corrupt:`, err.message);
+  }
+  const backupPath = backupPathFor(filePath);
+  try {
+    const backup = fs.readFileSync(backupPath, 'utf8');
+    parseJson(backup);
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    fs.writeFileSync(filePath, backup, 'utf8');
+    console.warn(`Restored ${filePath} from ${backupPath}; the damaged file was kept as ${corruptPath}.`);
+  } catch (err) {
+    console.error(`Unable to restore ${filePath} from ${backupPath}:`, err.message);
   }
 }
 
@@ -24,10 +200,7 @@ function ensureFileSync(filePath) {
 async function readJson(filePath) {
   try {
     const data = await fsp.readFile(filePath, 'utf8');
-    if (!data.trim()) {
-      return [];
-    }
-    return JSON.parse(data);
+    return parseJson(data);
   } catch (err) {
     if (err.code === 'ENOENT') {
       await writeJson(filePath, []);
@@ -39,20 +212,43 @@ async function readJson(filePath) {
 }
 
 /**
- * Writes data to disk in pretty-printed JSON format.
+ * Writes data to disk in pretty-printed JSON format, atomically and under
+ * the file's lock.
  */
 async function writeJson(filePath, payload) {
   try {
-    const json = JSON.stringify(payload, null, 2);
-    await fsp.writeFile(filePath, json, 'utf8');
+    await withLock(filePath, () => writeUnlocked(filePath, payload));
   } catch (err) {
     console.error(`Failed to write JSON file ${filePath}:`, err.message);
     throw err;
   }
 }
 
+/**
+ * Read-modify-write under the file's lock, so concurrent writers (in this or
+ * another process) cannot lose each other's changes. update receives the
+ * current contents, changes them in place and returns the result to resolve
+ * with; returning null or false means nothing changed and skips the write.
+ */
+async function updateJson(filePath, update) {
+  try {
+    return await withLock(filePath, async () => {
+      const data = await readUnlocked(filePath);
+      const result = await update(data);
+      if (result !== null && result !== false) {
+        await writeUnlocked(filePath, data);
+      }
+      return result;
+    });
+  } catch (err) {
+    console.error(`Failed to update JSON file ${filePath}:`, err.message);
+    throw err;
+  }
+}
+
 module.exports = {
   ensureFileSync,
   readJson,
-  writeJson
+  writeJson,
+  updateJson
 };
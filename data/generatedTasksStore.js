@@ -0,0 +1,22 @@
+const storage = require('./storage');
+
+// Audit trail of tasks created by the template job (one entry per task).
+const entries = storage.collection('generatedTasks');
+
+async function getAll() {
+  return entries.getAll();
+}
+
+async function getByRunId(runId) {
+  return entries.find({ runId });
+}
+
+async function append(entry) {
+  return entries.insert(entry);
+}
+
+module.exports = {
+  getAll,
+  getByRunId,
+  append
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fileStore = require('./fileStore');
+
+const filePath = path.join(__dirname, 'holiday-calendars.json');
+fileStore.ensureFileSync(filePath);
+
+// One entry per date (the last name wins), sorted by date.
+function normalizeHolidays(holidays = []) {
+  const byDate = new Map();
+  holidays.forEach((holiday) => {
+    byDate.set(holiday.date, { date: holiday.date, name: (holiday.name || '').trim() });
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function getAll() {
+  return fileStore.readJson(filePath);
+}
+
+async function getById(id) {
+  const calendars = await getAll();
+  return calendars.find((calendar) => calendar.id === id) || null;
+}
+
+async function create(payload) {
+  return fileStore.updateJson(filePath, (calendars) => {
+    const now = new Date().toISOString();
+    const calendar = {
+      id: uuidv4(),
+      name: payload.name.trim(),
+      holidays: normalizeHolidays(payload.holidays),
+      createdAt: now,
+      updatedAt: now
+    };
+    calendars.push(calendar);
+    return calendar;
+  });
+}
+
+// payload may be a function of the stored calendar (see addHolidays).
+async function update(id, payload) {
+  return fileStore.updateJson(filePath, (calendars) => {
+    const index = calendars.findIndex((calendar) => calendar.id === id);
+    if (index === -1) return null;
+
+    const changes = typeof payload === 'function' ? payload(calendars[index]) : payload;
+    const updated = { ...calendars[index] };
+    if (changes.name) {
+      updated.name = changes.name.trim();
+    }
+    if (changes.holidays !== undefined) {
+      updated.holidays = normalizeHolidays(changes.holidays);
+    }
+    updated.updatedAt = new Date().toISOString();
+    calendars[index] = updated;
+    return updated;
+  });
+}
+
+// Adds holidays to a calendar, replacing entries for dates it already has.
+async function addHolidays(id, holidays) {
+  return update(id, (calendar) => ({ holidays: [...calendar.holidays, ...holidays] }));
+}
+
+// Map of calendar id -> Set of YYYY-MM-DD dates, the form the business-day
+// rules use.
+async function getHolidaySets() {
+  const calendars = await getAll();
+  return new Map(calendars.map((calendar) => [calendar.id, new Set(calendar.holidays.map((holiday) => holiday.date))]));
+}
+
+async function remove(id) {
+  return fileStore.updateJson(filePath, (calendars) => {
+    const index = calendars.findIndex((calendar) => calendar.id === id);
+    if (index === -1) return false;
+    calendars.splice(index, 1);
+    return true;
+  });
+}
+
+module.exports = {
+  getAll,
+  getById,
+  create,
+  update,
+  addHolidays,
+  getHolidaySets,
+  remove
+};
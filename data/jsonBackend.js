@@ -0,0 +1,109 @@
+const path = require('path');
+const fileStore = require('./fileStore');
+
+/**
+ * The JSON storage backend (see storage.js): each collection is an array in
+ * its own file and each document an object, read in full on every call and
+ * written through fileStore's locked, atomic updates.
+ */
+
+function matches(record, filter) {
+  return Object.entries(filter).every(([field, value]) => record[field] === value);
+}
+
+function createCollection(filePath) {
+  fileStore.ensureFileSync(filePath);
+
+  async function getAll() {
+    return fileStore.readJson(filePath);
+  }
+
+  return {
+    getAll,
+    async getById(id) {
+      const records = await getAll();
+      return records.find((record) => record.id === id) || null;
+    },
+    async find(filter) {
+      const records = await getAll();
+      return records.filter((record) => matches(record, filter));
+    },
+    async insert(record) {
+      await fileStore.updateJson(filePath, (records) => {
+        records.push(record);
+      });
+      return record;
+    },
+    async insertMany(newRecords) {
+      if (!newRecords.length) return;
+      await fileStore.updateJson(filePath, (records) => {
+        records.push(...newRecords);
+      });
+    },
+    async insertWith(filter, build) {
+      return fileStore.updateJson(filePath, (records) => {
+        const newRecords = build(records.filter((record) => matches(record, filter)));
+        records.push(...newRecords);
+        return newRecords;
+      });
+    },
+    async update(id, change) {
+      return fileStore.updateJson(filePath, (records) => {
+        const index = records.findIndex((record) => record.id === id);
+        if (index === -1) return null;
+        const updated = change(records[index]);
+        if (updated) records[index] = updated;
+        return updated;
+      });
+    },
+    async remove(id) {
+      return fileStore.updateJson(filePath, (records) => {
+        const index = records.findIndex((record) => record.id === id);
+        if (index === -1) return false;
+        records.splice(index, 1);
+        return true;
+      });
+    },
+    async replaceAll(records) {
+      await fileStore.writeJson(filePath, records);
+    }
+  };
+}
+
+function createDocument(filePath) {
+  fileStore.ensureFileSync(filePath, {});
+  return {
+    async get() {
+      const raw = await fileStore.readJson(filePath);
+      return Array.isArray(raw) ? null : raw;
+    },
+    async set(value) {
+      await fileStore.writeJson(filePath, value);
+      return value;
+    }
+  };
+}
+
+function create({ collections, documents, dataDir }) {
+  const cache = new Map();
+  const cached = (key, build) => {
+    if (!cache.has(key)) cache.set(key, build());
+    return cache.get(key);
+  };
+  return {
+    name: 'json',
+    collection(name) {
+      if (!collections[name]) throw new Error(`Unknown collection "${name}".`);
+      return cached(`collection:${name}`, () => createCollection(path.join(dataDir, collections[name].file)));
+    },
+    document(name) {
+      if (!documents[name]) throw new Error(`Unknown document "${name}".`);
+      return cached(`document:${name}`, () => createDocument(path.join(dataDir, documents[name].file)));
+    },
+    close() {}
+  };
+}
+
+module.exports = {
+  create
+};
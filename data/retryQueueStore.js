@@ -0,0 +1,103 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fileStore = require('./fileStore');
+
+const filePath = path.join(__dirname, 'retry-queue.json');
+fileStore.ensureFileSync(filePath);
+
+// Failed task creations are retried with exponential backoff
+// (BASE_DELAY_MINUTES, doubled per attempt, capped at MAX_DELAY_MINUTES)
+// until MAX_ATTEMPTS is reached, after which they are kept as 'failed' for
+// review in the UI.
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MINUTES = 30;
+const MAX_DELAY_MINUTES = 24 * 60;
+
+function nextAttemptAfter(attempts, now = new Date()) {
+  const delayMinutes = Math.min(BASE_DELAY_MINUTES * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MINUTES);
+  return new Date(now.getTime() + delayMinutes * 60 * 1000).toISOString();
+}
+
+async function getAll() {
+  return fileStore.readJson(filePath);
+}
+
+async function getById(id) {
+  const items = await getAll();
+  return items.find((item) => item.id === id) || null;
+}
+
+/**
+ * Records a failed attempt for an occurrence (template + due date). Creates
+ * the queue item on the first failure and bumps attempts on later ones.
+ */
+async function recordFailure({ templateId, title, dueDate, creationDate, error }) {
+  return fileStore.updateJson(filePath, (items) => {
+    const now = new Date();
+    let item = items.find((entry) => entry.templateId === templateId && entry.dueDate === dueDate);
+    if (!item) {
+      item = { id: uuidv4(), templateId, dueDate, attempts: 0, createdAt: now.toISOString() };
+      items.push(item);
+    }
+    item.title = title;
+    item.creationDate = creationDate;
+    item.attempts += 1;
+    item.lastError = error;
+    item.lastAttemptAt = now.toISOString();
+    if (item.attempts >= MAX_ATTEMPTS) {
+      item.status = 'failed';
+      item.nextAttemptAt = null;
+    } else {
+      item.status = 'pending';
+      item.nextAttemptAt = nextAttemptAfter(item.attempts, now);
+    }
+    return item;
+  });
+}
+
+async function getDue(now = new Date()) {
+  const items = await getAll();
+  return items.filter((item) => item.status === 'pending' && Date.parse(item.nextAttemptAt) <= now.getTime());
+}
+
+// Puts a permanently failed item back in line for the next job run.
+async function requeue(id) {
+  return fileStore.updateJson(filePath, (items) => {
+    const item = items.find((entry) => entry.id === id);
+    if (!item) return null;
+    item.status = 'pending';
+    item.attempts = 0;
+    item.nextAttemptAt = new Date().toISOString();
+    return item;
+  });
+}
+
+async function remove(id) {
+  return fileStore.updateJson(filePath, (items) => {
+    const index = items.findIndex((item) => item.id === id);
+    if (index === -1) return false;
+    items.splice(index, 1);
+    return true;
+  });
+}
+
+async function removeOccurrence(templateId, dueDate) {
+  return fileStore.updateJson(filePath, (items) => {
+    const count = items.length;
+    for (let index = items.length - 1; index >= 0; index -= 1) {
+      if (items[index].templateId === templateId && items[index].dueDate === dueDate) items.splice(index, 1);
+    }
+    return items.length !== count;
+  });
+}
+
+module.exports = {
+  getAll,
+  getById,
+  getDue,
+  recordFailure,
+  requeue,
+  remove,
+  removeOccurrence,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fileStore = require('./fileStore');
+
+const filePath = path.join(__dirname, 'job-runs.json');
+fileStore.ensureFileSync(filePath);
+
+// Oldest runs are dropped beyond this many so the file stays small.
+const MAX_RUNS = 1000;
+
+async function getAll() {
+  const runs = await fileStore.readJson(filePath);
+  return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+async function getById(id) {
+  const runs = await fileStore.readJson(filePath);
+  return runs.find((run) => run.id === id) || null;
+}
+
+async function create(payload) {
+  return fileStore.updateJson(filePath, (runs) => {
+    const run = { id: uuidv4(), ...payload };
+    runs.push(run);
+    runs.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    runs.splice(0, Math.max(0, runs.length - MAX_RUNS));
+    return run;
+  });
+}
+
+module.exports = {
+  getAll,
+  getById,
+  create
+};
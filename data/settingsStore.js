@@ -1,12 +1,41 @@
-const fs = require('fs');
-const path = require('path');
-const fileStore = require('./fileStore');
+const storage = require('./storage');
 
-const filePath = path.join(__dirname, 'settings.json');
+const settingsDocument = storage.document('settings');
 
 const defaultSettings = {
   osticketBaseUrl: 'https://tickets.welkeptbooks.com',
   taskUrlPattern: '/scp/tasks.php?id={taskId}',
+  scheduler: {
+    enabled: false,
+    time: '00:05'
+  },
+  taskDefaults: {
+    dueTime: '17:00',
+    timeZone: 'America/New_York'
+  },
+  osticketIds: {
+    taskFormId: 5,
+    titleFieldId: 32,
+    descriptionFieldId: 33,
+    taskSequenceId: 2
+  },
+  notifications: {
+    notifyOn: 'failure',
+    email: {
+      enabled: false,
+      host: '',
+      port: 587,
+      secure: false,
+      user: '',
+      pass: '',
+      from: '',
+      to: ''
+    },
+    webhook: {
+      enabled: false,
+      url: ''
+    }
+  },
   calendar: {
     colors: {
       openTaskDue: '#0d6efd',
@@ -28,21 +57,34 @@ const defaultSettings = {
   }
 };
 
-function ensureFile() {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify(defaultSettings, null, 2), 'utf8');
-  }
-}
-
 function mergeWithDefaults(settings) {
   return {
     ...defaultSettings,
     ...settings,
+    scheduler: {
+      ...defaultSettings.scheduler,
+      ...(settings?.scheduler || {})
+    },
+    taskDefaults: {
+      ...defaultSettings.taskDefaults,
+      ...(settings?.taskDefaults || {})
+    },
+    osticketIds: {
+      ...defaultSettings.osticketIds,
+      ...(settings?.osticketIds || {})
+    },
+    notifications: {
+      ...defaultSettings.notifications,
+      ...(settings?.notifications || {}),
+      email: {
+        ...defaultSettings.notifications.email,
+        ...(settings?.notifications?.email || {})
+      },
+      webhook: {
+        ...defaultSettings.notifications.webhook,
+        ...(settings?.notifications?.webhook || {})
+      }
+    },
     calendar: {
       ...defaultSettings.calendar,
       ...(settings?.calendar || {}),
@@ -62,27 +104,57 @@ function mergeWithDefaults(settings) {
   };
 }
 
+// SMTP_PASSWORD, when set, is used instead of a saved password so the
+// secret can stay out of data/settings.json (which is checked in).
+function withSmtpPassword(settings) {
+  if (!process.env.SMTP_PASSWORD) return settings;
+  return {
+    ...settings,
+    notifications: {
+      ...settings.notifications,
+      email: { ...settings.notifications.email, pass: process.env.SMTP_PASSWORD }
+    }
+  };
+}
+
 async function getSettings() {
-  ensureFile();
   try {
-    const raw = await fileStore.readJson(filePath);
-    const parsed = Array.isArray(raw) ? {} : raw;
-    return mergeWithDefaults(parsed);
+    return withSmtpPassword(mergeWithDefaults((await settingsDocument.get()) || {}));
   } catch (err) {
-    console.error('Failed to load settings.json, using defaults:', err.message);
-    return { ...defaultSettings };
+    console.error('Failed to load settings, using defaults:', err.message);
+    return withSmtpPassword({ ...defaultSettings });
   }
 }
 
 async function saveSettings(nextSettings) {
-  ensureFile();
   const merged = mergeWithDefaults(nextSettings);
-  await fileStore.writeJson(filePath, merged);
-  return merged;
+  if (process.env.SMTP_PASSWORD) {
+    merged.notifications.email.pass = '';
+  }
+  return withSmtpPassword(await settingsDocument.set(merged));
+}
+
+// Whether the SMTP password comes from SMTP_PASSWORD rather than the form.
+function smtpPasswordFromEnv() {
+  return Boolean(process.env.SMTP_PASSWORD);
+}
+
+/**
+ * Resolves the due time of day and IANA timezone a template's tasks use,
+ * falling back to settings.taskDefaults when the template leaves them blank.
+ */
+function templateTiming(template, settings) {
+  const defaults = settings?.taskDefaults || defaultSettings.taskDefaults;
+  return {
+    dueTime: template?.dueTime || defaults.dueTime,
+    timeZone: template?.timeZone || defaults.timeZone
+  };
 }
 
 module.exports = {
   getSettings,
+  templateTiming,
   saveSettings,
+  smtpPasswordFromEnv,
   defaultSettings
 };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The SQLite storage backend (see storage.js): one local database file with
+ * a table per collection. Records are stored as JSON in a data column, in
+ * insertion order (seq), with their id in its own unique column and
+ * expression indexes on the collection's indexed fields. Documents share a
+ * documents table. WAL mode and a busy timeout let the web server and the
+ * cron job use the file at the same time.
+ *
+ * Needs the optional better-sqlite3 package.
+ */
+
+const BUSY_TIMEOUT_MS = 10000;
+
+function openDatabase(sqlitePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error(`The SQLite storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+  }
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+  const db = new Database(sqlitePath, { timeout: BUSY_TIMEOUT_MS });
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  return db;
+}
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+// Only plain field names reach json_extract paths.
+function fieldPath(field) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+    throw new Error(`Invalid field name "${field}".`);
+  }
+  return `$.${field}`;
+}
+
+// json_extract returns booleans as 1/0.
+function filterValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+function createCollection(db, name, { indexes = [] } = {}) {
+  const table = quote(name);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT UNIQUE,
+    data TEXT NOT NULL
+  )`);
+  indexes.forEach((field) => {
+    db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}_${field}`)} ON ${table} (json_extract(data, '${fieldPath(field)}'))`);
+  });
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+  const selectAll = db.prepare(`SELECT data FROM ${table} ORDER BY seq`);
+  const selectById = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+  const insertRow = db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+  const updateRow = db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+  const deleteRow = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const deleteAll = db.prepare(`DELETE FROM ${table}`);
+
+  const select = (filter) => {
+    const fields = Object.keys(filter);
+    const where = fields.map((field) => `json_extract(data, '${fieldPath(field)}') = ?`).join(' AND ');
+    const statement = db.prepare(`SELECT data FROM ${table}${where ? ` WHERE ${where}` : ''} ORDER BY seq`);
+    return statement.all(...fields.map((field) => filterValue(filter[field]))).map(parse);
+  };
+  const insertAll = db.transaction((records) => {
+    records.forEach((record) => insertRow.run(record.id ?? null, JSON.stringify(record)));
+  });
+  const insertWith = db.transaction((filter, build) => {
+    const records = build(select(filter));
+    insertAll(records);
+    return records;
+  });
+  const updateOne = db.transaction((id, change) => {
+    const current = parse(selectById.get(id));
+    if (!current) return null;
+    const updated = change(current);
+    if (updated) updateRow.run(JSON.stringify(updated), id);
+    return updated;
+  });
+  const replaceAll = db.transaction((records) => {
+    deleteAll.run();
+    insertAll(records);
+  });
+
+  return {
+    async getAll() {
+      return selectAll.all().map(parse);
+    },
+    async getById(id) {
+      return parse(selectById.get(id));
+    },
+    async find(filter) {
+      return select(filter);
+    },
+    async insert(record) {
+      insertAll([record]);
+      return record;
+    },
+    async insertMany(records) {
+      insertAll(records);
+    },
+    async insertWith(filter, build) {
+      // Takes the write lock before reading, so another process cannot
+      // insert in between.
+      return insertWith.immediate(filter, build);
+    },
+    async update(id, change) {
+      return updateOne(id, change);
+    },
+    async remove(id) {
+      return deleteRow.run(id).changes > 0;
+    },
+    async replaceAll(records) {
+      replaceAll(records);
+    }
+  };
+}
+
+function createDocument(db, name) {
+  db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+  const select = db.prepare('SELECT data FROM documents WHERE name = ?');
+  const upsert = db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data');
+  return {
+    async get() {
+      const row = select.get(name);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async set(value) {
+      upsert.run(name, JSON.stringify(value));
+      return value;
+    }
+  };
+}
+
+function create({ collections, documents, sqlitePath }) {
+  const db = openDatabase(sqlitePath);
+  const cache = new Map();
+  const cached = (key, build) => {
+    if (!cache.has(key)) cache.set(key, build());
+    return cache.get(key);
+  };
+  return {
+    name: 'sqlite',
+    path: sqlitePath,
+    collection(name) {
+      if (!collections[name]) throw new Error(`Unknown collection "${name}".`);
+      return cached(`collection:${name}`, () => createCollection(db, name, collections[name]));
+    },
+    document(name) {
+      if (!documents[name]) throw new Error(`Unknown document "${name}".`);
+      return cached(`document:${name}`, () => createDocument(db, name));
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  create
+};
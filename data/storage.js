@@ -0,0 +1,84 @@
+const path = require('path');
+
+/**
+ * Storage interface behind the clients, templates (with their revisions),
+ * settings and audit log stores. The backend is picked with the
+ * STORAGE_BACKEND environment variable: 'json' (default, one file per
+ * collection in data/) or 'sqlite' (a single local database file,
+ * STORAGE_SQLITE_PATH or data/task-creator.sqlite).
+ * scripts/migrate-storage.js copies data between them.
+ *
+ * A backend provides:
+ *  - collection(name) for records with string ids, in insertion order:
+ *    getAll(), getById(id), find(filter) (fields equal to the filter's
+ *    values), insert(record), insertMany(records), insertWith(filter, build)
+ *    where the synchronous build(matching) gets the records matching filter
+ *    and returns the records to insert (read and insert are applied
+ *    atomically; resolves to the inserted records), update(id, change) where
+ *    the synchronous change(record) returns the new record, or null to leave
+ *    it unchanged (applied atomically), remove(id), and replaceAll(records).
+ *  - document(name) for a single object: get() (null when none is stored)
+ *    and set(value).
+ */
+
+// Named collections and documents, with the JSON file each is kept in and
+// the fields the SQLite backend indexes for find().
+const COLLECTIONS = {
+  clients: { file: 'clients.json' },
+  templates: { file: 'templates.json' },
+  generatedTasks: { file: 'generated-tasks.json', indexes: ['runId', 'templateId'] },
+  templateRevisions: { file: 'template-revisions.json', indexes: ['templateId'] }
+};
+const DOCUMENTS = {
+  settings: { file: 'settings.json' }
+};
+
+const BACKENDS = {
+  json: () => require('./jsonBackend'),
+  sqlite: () => require('./sqliteBackend')
+};
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, 'task-creator.sqlite');
+
+/**
+ * Creates a backend by name. options.sqlitePath overrides where the SQLite
+ * backend keeps its database.
+ */
+function createBackend(name, options = {}) {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown storage backend "${name}"; expected one of: ${Object.keys(BACKENDS).join(', ')}.`);
+  }
+  return load().create({
+    collections: COLLECTIONS,
+    documents: DOCUMENTS,
+    dataDir: __dirname,
+    sqlitePath: options.sqlitePath || process.env.STORAGE_SQLITE_PATH || DEFAULT_SQLITE_PATH
+  });
+}
+
+let backend = null;
+
+// The configured backend, created on first use.
+function getBackend() {
+  if (!backend) {
+    backend = createBackend((process.env.STORAGE_BACKEND || 'json').toLowerCase());
+  }
+  return backend;
+}
+
+function collection(name) {
+  return getBackend().collection(name);
+}
+
+function document(name) {
+  return getBackend().document(name);
+}
+
+module.exports = {
+  COLLECTIONS,
+  DOCUMENTS,
+  createBackend,
+  collection,
+  document
+};
@@ -0,0 +1,61 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// Every saved version of each template: { id, templateId, revision (1, 2,
+// ...), action, changedBy, restoredFrom, savedAt, template (full snapshot) }.
+const revisions = storage.collection('templateRevisions');
+
+// Oldest first.
+async function getByTemplateId(templateId) {
+  const entries = await revisions.find({ templateId });
+  return entries.sort((a, b) => a.revision - b.revision);
+}
+
+async function getById(templateId, id) {
+  const revision = await revisions.getById(id);
+  return revision && revision.templateId === templateId ? revision : null;
+}
+
+/**
+ * Stores template as its next revision. previous is the version it replaced;
+ * templates saved before revisions were kept get it as revision 1 first, so
+ * their first change still has something to compare against. The number is
+ * picked in the same atomic step as the insert, so concurrent saves cannot
+ * share one.
+ */
+async function record(template, { action, changedBy = null, restoredFrom = null }, previous = null) {
+  const inserted = await revisions.insertWith({ templateId: template.id }, (existing) => {
+    const entries = [];
+    if (!existing.length && previous) {
+      entries.push({
+        id: uuidv4(),
+        templateId: template.id,
+        revision: 1,
+        action: 'baseline',
+        changedBy: null,
+        restoredFrom: null,
+        savedAt: previous.updatedAt || previous.createdAt || new Date().toISOString(),
+        template: previous
+      });
+    }
+    const last = Math.max(entries.length, ...existing.map((entry) => entry.revision));
+    entries.push({
+      id: uuidv4(),
+      templateId: template.id,
+      revision: last + 1,
+      action,
+      changedBy,
+      restoredFrom,
+      savedAt: template.updatedAt,
+      template
+    });
+    return entries;
+  });
+  return inserted[inserted.length - 1];
+}
+
+module.exports = {
+  getByTemplateId,
+  getById,
+  record
+};
@@ -1,54 +1,100 @@
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const fileStore = require('./fileStore');
+const storage = require('./storage');
+const templateRevisionsStore = require('./templateRevisionsStore');
 
-const filePath = path.join(__dirname, 'templates.json');
-fileStore.ensureFileSync(filePath);
+// Every create, update, exception change and restore is kept as a revision
+// (see templateRevisionsStore). meta is { action, changedBy } for the revision.
+const templates = storage.collection('templates');
 
 async function getAll() {
-  return fileStore.readJson(filePath);
+  return templates.getAll();
 }
 
 async function getById(id) {
-  const templates = await getAll();
-  return templates.find((template) => template.id === id) || null;
+  return templates.getById(id);
 }
 
-async function create(payload) {
-  const templates = await getAll();
+async function create(payload, meta = {}) {
   const now = new Date().toISOString();
-  const template = {
+  const template = await templates.insert({
     ...payload,
     id: uuidv4(),
     createdAt: now,
     updatedAt: now
-  };
-  templates.push(template);
-  await fileStore.writeJson(filePath, templates);
+  });
+  await templateRevisionsStore.record(template, { action: 'create', ...meta });
   return template;
 }
 
-async function update(id, payload) {
-  const templates = await getAll();
-  const index = templates.findIndex((template) => template.id === id);
-  if (index === -1) return null;
-  const updated = {
-    ...templates[index],
-    ...payload,
-    updatedAt: new Date().toISOString()
-  };
-  templates[index] = updated;
-  await fileStore.writeJson(filePath, templates);
+async function update(id, payload, meta = {}) {
+  let previous = null;
+  const updated = await templates.update(id, (template) => {
+    previous = template;
+    return {
+      ...template,
+      ...payload,
+      updatedAt: new Date().toISOString()
+    };
+  });
+  if (updated) {
+    await templateRevisionsStore.record(updated, { action: 'update', ...meta }, previous);
+  }
+  return updated;
+}
+
+/**
+ * Sets the exception for the occurrence scheduled on dueDate (YYYY-MM-DD), or
+ * clears it when exception is null. The list is changed inside the update so
+ * concurrent edits of other exceptions or of the template are kept. Returns
+ * null when the template does not exist.
+ */
+async function setException(id, dueDate, exception, meta = {}) {
+  let previous = null;
+  const updated = await templates.update(id, (template) => {
+    previous = template;
+    const exceptions = (template.exceptions || []).filter((entry) => entry.dueDate !== dueDate);
+    if (exception) {
+      exceptions.push({ dueDate, ...exception });
+      exceptions.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+    return { ...template, exceptions, updatedAt: new Date().toISOString() };
+  });
+  if (updated) {
+    await templateRevisionsStore.record(updated, { action: 'exception', ...meta }, previous);
+  }
   return updated;
 }
 
+/**
+ * Puts a template back the way a revision saved it (fields added since are
+ * dropped) and records that as a new revision. Whether it is paused and its
+ * occurrence exceptions are left as they are now: they track what has
+ * happened to the schedule rather than how it is defined. Returns null when
+ * the template or the revision does not exist.
+ */
+async function restore(id, revisionId, meta = {}) {
+  const revision = await templateRevisionsStore.getById(id, revisionId);
+  if (!revision) return null;
+  let previous = null;
+  const restored = await templates.update(id, (template) => {
+    previous = template;
+    return {
+      ...revision.template,
+      paused: template.paused,
+      exceptions: template.exceptions,
+      id: template.id,
+      createdAt: template.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+  });
+  if (restored) {
+    await templateRevisionsStore.record(restored, { ...meta, action: 'restore', restoredFrom: revision.revision }, previous);
+  }
+  return restored;
+}
+
 async function remove(id) {
-  const templates = await getAll();
-  const index = templates.findIndex((template) => template.id === id);
-  if (index === -1) return false;
-  templates.splice(index, 1);
-  await fileStore.writeJson(filePath, templates);
-  return true;
+  return templates.remove(id);
 }
 
 module.exports = {
@@ -56,5 +102,7 @@ module.exports = {
   getById,
   create,
   update,
+  setException,
+  restore,
   remove
 };
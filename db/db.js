@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const mysql = require('mysql2/promise');
+const taskForm = require('./taskForm');
+const taskWriter = require('./taskWriter');
+const settingsStore = require('../data/settingsStore');
 
 // Column mappings kept in one place for easy adjustment if the schema differs.
 const columns = {
@@ -17,18 +20,6 @@ const configPath = path.join(__dirname, 'config.json');
 let pool;
 let initError;
 
-function formatDateTime(date) {
-  return date.toISOString().slice(0, 19).replace('T', ' ');
-}
-
-function nextTaskNumber() {
-  const random = Math.floor(Math.random() * 10000)
-    .toString()
-    .padStart(4, '0');
-  const now = Date.now().toString().slice(-8);
-  return `T${now}${random}`;
-}
-
 function loadConfig() {
   if (!fs.existsSync(configPath)) {
     throw new Error(`Database config file missing at ${configPath}`);
@@ -86,57 +77,59 @@ function assertReady() {
   }
 }
 
-function toDateTimeString(input, defaultTime = '00:00:00') {
-  if (!input) return null;
-  const date = input instanceof Date ? input : new Date(input);
-  const iso = date.toISOString();
-  return `${iso.slice(0, 10)} ${iso.slice(11, 19) || defaultTime}`;
+// options.ids defaults to the osTicket ids saved in settings.
+async function withIds(options) {
+  if (options.ids) return options;
+  const settings = await settingsStore.getSettings();
+  return { ...options, ids: settings.osticketIds };
 }
 
-async function createTaskFromTemplate({ template, dueDate, creationDate }) {
+/**
+ * Creates an osTicket task through the shared writer (db/taskWriter.js). See
+ * createTask there for the options; ids defaults to settings.osticketIds.
+ */
+async function createTaskFromTemplate(options) {
   assertReady();
-
-  const conn = await pool.getConnection();
-  const createdAt = creationDate ? toDateTimeString(creationDate) : toDateTimeString(new Date());
-  const dueAt = dueDate ? toDateTimeString(dueDate) : null;
-  const staffId = template.assignee?.type === 'staff' ? Number(template.assignee.id) || 0 : 0;
-  const teamId = template.assignee?.type === 'team' ? Number(template.assignee.id) || 0 : 0;
-
-  const taskPayload = {
-    object_id: 0,
-    object_type: 'T',
-    number: `T${Date.now()}`,
-    dept_id: Number(template.departmentId) || 0,
-    staff_id: staffId,
-    team_id: teamId,
-    lock_id: 0,
-    flags: 0,
-    duedate: dueAt,
-    closed: null,
-    created: createdAt,
-    updated: createdAt
-  };
-
-  const cdataPayload = {
-    title: template.title || ''
-  };
-
   try {
-    await conn.beginTransaction();
-    const [taskResult] = await conn.query('INSERT INTO ost_task SET ?', taskPayload);
-    const taskId = taskResult.insertId;
-    cdataPayload.task_id = taskId;
-    await conn.query('INSERT INTO ost_task__cdata SET ?', cdataPayload);
-    await conn.commit();
-    return { taskId, data: { task: taskPayload, cdata: cdataPayload } };
+    return await taskWriter.createTask(pool, await withIds(options));
   } catch (err) {
-    await conn.rollback();
     throw new Error('Failed to create osTicket task: ' + err.message);
-  } finally {
-    conn.release();
   }
 }
 
+async function createTaskBundle(options) {
+  assertReady();
+  try {
+    return await taskWriter.createTaskBundle(pool, await withIds(options));
+  } catch (err) {
+    throw new Error('Failed to create osTicket task bundle: ' + err.message);
+  }
+}
+
+async function findExistingTask(options) {
+  assertReady();
+  return taskWriter.findExistingTask(pool, options);
+}
+
+// Returns a Map of task id -> closed Date for the given ids; open tasks (and
+// ids not found in osTicket) map to null.
+async function getTaskClosedTimes(taskIds) {
+  assertReady();
+  const closed = new Map(taskIds.map((id) => [Number(id), null]));
+  if (!taskIds.length) return closed;
+  const [rows] = await pool.query('SELECT id, closed FROM ost_task WHERE id IN (?)', [taskIds]);
+  rows.forEach((row) => {
+    const value = row.closed instanceof Date ? row.closed : row.closed ? new Date(String(row.closed).replace(' ', 'T')) : null;
+    closed.set(Number(row.id), value && !Number.isNaN(value.getTime()) ? value : null);
+  });
+  return closed;
+}
+
+async function verifyTaskFormIds(ids) {
+  assertReady();
+  return taskForm.verifyTaskFormIds(pool, ids);
+}
+
 async function getDepartments() {
   assertReady();
   try {
@@ -181,6 +174,17 @@ async function getStaff() {
   }
 }
 
+async function discoverTaskFormIds() {
+  assertReady();
+  return taskForm.discoverTaskFormIds(pool);
+}
+
+async function close() {
+  if (pool) {
+    await pool.end();
+  }
+}
+
 function getStatus() {
   return { hasError: Boolean(initError), error: initError ? initError.message : null };
 }
@@ -218,7 +222,7 @@ async function getTasksByDueDateRange({ start, end, includeClosed = true }) {
   `;
 
   try {
-    const [rows] = await pool.query(sql, [formatDateTime(start), formatDateTime(end)]);
+    const [rows] = await pool.query(sql, [taskWriter.toDateTimeString(start), taskWriter.toDateTimeString(end)]);
     return rows.map((row) => {
       let assignee = { type: 'none', id: null, displayName: 'Unassigned' };
       if (row.staff_id) {
@@ -258,5 +262,11 @@ module.exports = {
   columns,
   getStatus,
   createTaskFromTemplate,
-  getTasksByDueDateRange
+  createTaskBundle,
+  findExistingTask,
+  getTaskClosedTimes,
+  getTasksByDueDateRange,
+  discoverTaskFormIds,
+  verifyTaskFormIds,
+  close
 };
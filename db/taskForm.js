@@ -0,0 +1,99 @@
+/**
+ * Discovery and validation of the osTicket ids the template job writes
+ * against: the task form (ost_form), its title/description fields
+ * (ost_form_field) and the task number sequence (ost_sequence). These differ
+ * between osTicket installs, so they are kept in settings.osticketIds.
+ *
+ * Functions accept anything with a mysql2 promise-style query() (a pool or a
+ * connection).
+ *
+ * ADJUST THESE TABLES/COLUMNS if your osTicket schema differs:
+ *  - ost_form: id, type ('A' = task form), title
+ *  - ost_form_field: id, form_id, name, type
+ *  - ost_sequence: id, name
+ *  - ost_config: namespace, key, value (core.task_sequence_id)
+ */
+
+async function discoverTaskFormIds(queryable) {
+  const [forms] = await queryable.query("SELECT id, title FROM ost_form WHERE type = 'A' ORDER BY id ASC LIMIT 1");
+  if (!forms.length) {
+    throw new Error('No task form (ost_form.type = "A") was found in osTicket.');
+  }
+  const form = forms[0];
+
+  const [fields] = await queryable.query(
+    'SELECT id, name, type FROM ost_form_field WHERE form_id = ? ORDER BY sort ASC, id ASC',
+    [form.id]
+  );
+  const titleField = fields.find((f) => f.name === 'title') || fields.find((f) => f.type === 'text');
+  const descriptionField = fields.find((f) => f.name === 'description') || fields.find((f) => f.type === 'thread');
+  if (!titleField || !descriptionField) {
+    throw new Error(`Task form ${form.id} is missing a title or description field in ost_form_field.`);
+  }
+
+  let sequenceId = null;
+  const [config] = await queryable.query(
+    "SELECT value FROM ost_config WHERE namespace = 'core' AND `key` = 'task_sequence_id' LIMIT 1"
+  );
+  if (config.length && Number(config[0].value) > 0) {
+    sequenceId = Number(config[0].value);
+  } else {
+    const [sequences] = await queryable.query("SELECT id FROM ost_sequence WHERE name LIKE '%task%' ORDER BY id ASC LIMIT 1");
+    sequenceId = sequences.length ? Number(sequences[0].id) : null;
+  }
+  if (!sequenceId) {
+    throw new Error('No task number sequence was found in ost_config or ost_sequence.');
+  }
+
+  return {
+    taskFormId: Number(form.id),
+    titleFieldId: Number(titleField.id),
+    descriptionFieldId: Number(descriptionField.id),
+    taskSequenceId: sequenceId
+  };
+}
+
+/**
+ * Throws a descriptive error when any configured id does not exist (or the
+ * fields do not belong to the configured form).
+ */
+async function verifyTaskFormIds(queryable, ids) {
+  const problems = [];
+
+  const [forms] = await queryable.query('SELECT id FROM ost_form WHERE id = ? LIMIT 1', [ids.taskFormId]);
+  if (!forms.length) {
+    problems.push(`task form ${ids.taskFormId} does not exist in ost_form`);
+  }
+
+  const [fields] = await queryable.query('SELECT id, form_id FROM ost_form_field WHERE id IN (?, ?)', [
+    ids.titleFieldId,
+    ids.descriptionFieldId
+  ]);
+  [
+    ['title field', ids.titleFieldId],
+    ['description field', ids.descriptionFieldId]
+  ].forEach(([label, id]) => {
+    const field = fields.find((f) => Number(f.id) === Number(id));
+    if (!field) {
+      problems.push(`${label} ${id} does not exist in ost_form_field`);
+    } else if (Number(field.form_id) !== Number(ids.taskFormId)) {
+      problems.push(`${label} ${id} belongs to form ${field.form_id}, not task form ${ids.taskFormId}`);
+    }
+  });
+
+  const [sequences] = await queryable.query('SELECT id FROM ost_sequence WHERE id = ? LIMIT 1', [ids.taskSequenceId]);
+  if (!sequences.length) {
+    problems.push(`task sequence ${ids.taskSequenceId} does not exist in ost_sequence`);
+  }
+
+  if (problems.length) {
+    throw new Error(
+      `osTicket task form settings are invalid: ${problems.join('; ')}. Update them on the Settings page (use "Discover" to detect the correct ids).`
+    );
+  }
+}
+
+module.exports = {
+  discoverTaskFormIds,
+  verifyTaskFormIds
+};
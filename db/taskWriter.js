@@ -0,0 +1,263 @@
+/**
+ * The single osTicket task writer shared by the web server and the template
+ * job, so every task this app creates is written the same way. Functions take
+ * a mysql2 promise pool; db/db.js wraps them with its connection pool.
+ *
+ * ADJUST THESE TABLES/COLUMNS if your osTicket schema differs:
+ *  - ost_sequence, ost_task, ost_task__cdata
+ *  - ost_form_entry, ost_form_entry_values
+ *  - ost_thread, ost_thread_entry, ost_thread_event, ost__search
+ */
+
+// osTicket DATETIME columns hold wall-clock time with no zone, and the pool
+// reads them in the server's local time (mysql2's default). Write instants the
+// same way so a task we create reads back at the instant it was written for.
+function toDateTimeString(date) {
+  if (!date) return null;
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function logQuery(logFn, sql, params) {
+  const trimmed = sql.replace(/\s+/g, ' ').trim();
+  const paramLog = Array.isArray(params) && params.length ? ` | params: ${JSON.stringify(params)}` : '';
+  logFn(`[sql] ${trimmed}${paramLog}`);
+}
+
+async function fetchStaff(conn, staffId, logFn = console.log) {
+  if (!staffId) return null;
+  const sql = 'SELECT staff_id, firstname, lastname, username FROM ost_staff WHERE staff_id = ? LIMIT 1';
+  logQuery(logFn, sql, [staffId]);
+  const [rows] = await conn.query(sql, [staffId]);
+  return rows[0] || null;
+}
+
+function buildPoster(staff) {
+  if (!staff) return 'System';
+  const name = `${staff.firstname || ''} ${staff.lastname || ''}`.trim() || staff.username || 'Staff';
+  return staff.username ? `${name} [${staff.username}]` : name;
+}
+
+/**
+ * Inserts one osTicket task on conn (inside the caller's transaction) with the
+ * full write path osTicket itself uses: task number from the task sequence,
+ * ost_task row, task form entry (title and description), ost_task__cdata,
+ * thread with the description as its first entry, search index row, and
+ * created/assigned thread events.
+ *
+ * dueAt/createdAt are Date instants (written as UTC). ids holds the osTicket
+ * form/field/sequence ids from settings.osticketIds.
+ */
+async function insertTask(conn, { template, dueAt: dueInstant, createdAt: createdInstant, ids, log = () => {} }) {
+  const staffId = template.assignee?.type === 'staff' ? Number(template.assignee.id) || 0 : 0;
+  const teamId = template.assignee?.type === 'team' ? Number(template.assignee.id) || 0 : 0;
+
+  const createdAt = toDateTimeString(createdInstant || new Date());
+  const dueAt = dueInstant ? toDateTimeString(dueInstant) : null;
+
+  const staff = await fetchStaff(conn, staffId, log);
+  const staffPoster = buildPoster(staff);
+  const staffUsername = staff?.username || null;
+
+  let sql = 'SELECT * FROM ost_sequence WHERE id = ? FOR UPDATE';
+  logQuery(log, sql, [ids.taskSequenceId]);
+  const [seqRows] = await conn.query(sql, [ids.taskSequenceId]);
+  if (!seqRows.length) {
+    throw new Error(`Task sequence (id=${ids.taskSequenceId}) is missing.`);
+  }
+  const taskNumber = seqRows[0].next;
+  sql = 'UPDATE ost_sequence SET next = ?, updated = UTC_TIMESTAMP() WHERE id = ? LIMIT 1';
+  logQuery(log, sql, [taskNumber + 1, ids.taskSequenceId]);
+  await conn.query(sql, [taskNumber + 1, ids.taskSequenceId]);
+
+  sql =
+    `INSERT INTO ost_task (object_id, object_type, number, dept_id, staff_id, team_id, flags, duedate, closed, created, updated)
+     VALUES (0, 'A', ?, ?, ?, ?, 1, ?, NULL, ?, ?)`;
+  logQuery(log, sql, [
+    String(taskNumber),
+    Number(template.departmentId) || 0,
+    staffId || 0,
+    teamId || 0,
+    dueAt,
+    createdAt,
+    createdAt
+  ]);
+  const [taskResult] = await conn.query(sql, [
+    String(taskNumber),
+    Number(template.departmentId) || 0,
+    staffId || 0,
+    teamId || 0,
+    dueAt,
+    createdAt,
+    createdAt
+  ]);
+  const taskId = taskResult.insertId;
+
+  sql =
+    `INSERT INTO ost_form_entry (form_id, sort, created, updated, object_type, object_id)
+     VALUES (?, 1, UTC_TIMESTAMP(), UTC_TIMESTAMP(), 'A', ?)`;
+  logQuery(log, sql, [ids.taskFormId, taskId]);
+  const [formEntryResult] = await conn.query(sql, [ids.taskFormId, taskId]);
+  const formEntryId = formEntryResult.insertId;
+
+  sql = `INSERT INTO ost_form_entry_values (field_id, value, entry_id) VALUES (?, ?, ?)`;
+  logQuery(log, sql, [ids.titleFieldId, template.title || '', formEntryId]);
+  await conn.query(sql, [ids.titleFieldId, template.title || '', formEntryId]);
+  logQuery(log, sql, [ids.descriptionFieldId, template.description || '', formEntryId]);
+  await conn.query(sql, [ids.descriptionFieldId, template.description || '', formEntryId]);
+
+  sql =
+    `INSERT INTO ost_task__cdata (task_id, title)
+     VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE title = VALUES(title)`;
+  logQuery(log, sql, [taskId, template.title || '']);
+  await conn.query(sql, [taskId, template.title || '']);
+
+  sql = `INSERT INTO ost_thread (object_id, object_type, created) VALUES (?, 'A', UTC_TIMESTAMP())`;
+  logQuery(log, sql, [taskId]);
+  const [threadResult] = await conn.query(sql, [taskId]);
+  const threadId = threadResult.insertId;
+
+  sql =
+    `INSERT INTO ost_thread_entry (created, updated, type, thread_id, format, staff_id, poster, title, body, flags)
+     VALUES (UTC_TIMESTAMP(), UTC_TIMESTAMP(), 'M', ?, 'html', ?, ?, ?, ?, 0)`;
+  logQuery(log, sql, [threadId, staffId || 0, staffPoster, template.title || '', template.description || '']);
+  const [entryResult] = await conn.query(sql, [threadId, staffId || 0, staffPoster, template.title || '', template.description || '']);
+  const threadEntryId = entryResult.insertId;
+
+  sql = `REPLACE INTO ost__search (object_type, object_id, content, title) VALUES ('H', ?, ?, ?)`;
+  logQuery(log, sql, [threadEntryId, template.description || '', template.title || '']);
+  await conn.query(sql, [threadEntryId, template.description || '', template.title || '']);
+
+  const creationEventData = JSON.stringify({ type: 'task.created', title: template.title || '' });
+  sql =
+    `INSERT INTO ost_thread_event (thread_id, thread_type, staff_id, team_id, dept_id, topic_id, uid_type, uid, username, timestamp, data)
+     VALUES (?, 'A', ?, ?, ?, 0, 'S', ?, ?, UTC_TIMESTAMP(), ?)`;
+  logQuery(log, sql, [
+    threadId,
+    staffId || null,
+    teamId || 0,
+    Number(template.departmentId) || null,
+    staffId || null,
+    staffUsername,
+    creationEventData
+  ]);
+  await conn.query(sql, [
+    threadId,
+    staffId || null,
+    teamId || 0,
+    Number(template.departmentId) || null,
+    staffId || null,
+    staffUsername,
+    creationEventData
+  ]);
+
+  const assignEventData = JSON.stringify({ type: 'task.assigned', assignee: staffId || null });
+  logQuery(log, sql, [
+    threadId,
+    staffId || null,
+    teamId || 0,
+    Number(template.departmentId) || null,
+    staffId || null,
+    staffUsername,
+    assignEventData
+  ]);
+  await conn.query(sql, [
+    threadId,
+    staffId || null,
+    teamId || 0,
+    Number(template.departmentId) || null,
+    staffId || null,
+    staffUsername,
+    assignEventData
+  ]);
+
+  if (staffId) {
+    sql = 'UPDATE ost_task SET staff_id = ? WHERE id = ? LIMIT 1';
+    logQuery(log, sql, [staffId, taskId]);
+    await conn.query(sql, [staffId, taskId]);
+  }
+
+  log(`Inserted task ${taskNumber} with id ${taskId}`);
+  return {
+    taskId,
+    taskNumber,
+    data: {
+      sequence: { next: taskNumber },
+      task: { id: taskId, number: taskNumber, dept_id: template.departmentId, staff_id: staffId, team_id: teamId, duedate: dueAt },
+      formEntryId,
+      threadId,
+      threadEntryId
+    }
+  };
+}
+
+async function inTransaction(pool, log, work) {
+  const conn = await pool.getConnection();
+  try {
+    log('[sql] BEGIN');
+    await conn.beginTransaction();
+    const result = await work(conn);
+    log('[sql] COMMIT');
+    await conn.commit();
+    return result;
+  } catch (err) {
+    log('[sql] ROLLBACK');
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Creates one osTicket task in its own transaction. See insertTask for the
+ * rows written.
+ */
+async function createTask(pool, options) {
+  return inTransaction(pool, options.log || (() => {}), (conn) => insertTask(conn, options));
+}
+
+/**
+ * Creates several tasks (a template and its child tasks) in one transaction:
+ * either all of them are written or none. tasks is a list of
+ * { template, dueAt }; createdAt and ids are shared. Returns the results in
+ * the same order.
+ */
+async function createTaskBundle(pool, { tasks, createdAt, ids, log = () => {} }) {
+  return inTransaction(pool, log, async (conn) => {
+    const results = [];
+    for (const task of tasks) {
+      results.push(await insertTask(conn, { template: task.template, dueAt: task.dueAt, createdAt, ids, log }));
+    }
+    return results;
+  });
+}
+
+/**
+ * Looks for a task already present in osTicket for the same department, title
+ * and due date/time. The audit trail is the primary duplicate guard; this
+ * covers reruns where the audit file was not written (e.g. the job crashed
+ * after the COMMIT).
+ */
+async function findExistingTask(pool, { template, dueAt: dueInstant, log = () => {} }) {
+  const dueAt = toDateTimeString(dueInstant);
+  const sql =
+    `SELECT t.id, t.number
+       FROM ost_task t
+       JOIN ost_task__cdata cd ON cd.task_id = t.id
+      WHERE t.duedate = ? AND t.dept_id = ? AND cd.title = ?
+      LIMIT 1`;
+  const params = [dueAt, Number(template.departmentId) || 0, template.title || ''];
+  logQuery(log, sql, params);
+  const [rows] = await pool.query(sql, params);
+  return rows[0] || null;
+}
+
+module.exports = {
+  createTask,
+  createTaskBundle,
+  findExistingTask,
+  toDateTimeString
+};
@@ -80,12 +80,101 @@ document.addEventListener('DOMContentLoaded', () => {
       const props = info.event.extendedProps || {};
       if (props.layer === 'openDue') {
         window.open(props.url, '_blank');
+      } else if (props.templateId) {
+        openOccurrenceModal(props);
       } else if (props.url) {
         window.location.href = props.url;
       }
     }
   });
 
+  // Popup for template occurrences: skip, move or reassign one occurrence,
+  // or pause the whole template.
+  const occurrenceModalEl = document.getElementById('occurrenceModal');
+  const occurrenceModal = new bootstrap.Modal(occurrenceModalEl);
+  const occurrenceForm = document.getElementById('occurrenceForm');
+  const occurrenceAlert = document.getElementById('occurrenceAlert');
+  const newDueDateInput = document.getElementById('occurrenceNewDueDate');
+  const occurrenceAssignee = document.getElementById('occurrenceAssignee');
+  let currentOccurrence = null;
+
+  function showOccurrenceAlert(message, type = 'danger') {
+    occurrenceAlert.textContent = message;
+    occurrenceAlert.className = `alert alert-${type}`;
+  }
+
+  function syncOccurrenceFields() {
+    const action = occurrenceForm.querySelector('input[name="occurrenceAction"]:checked')?.value;
+    newDueDateInput.disabled = action !== 'move';
+    occurrenceAssignee.disabled = action === 'skip';
+  }
+
+  function openOccurrenceModal(props) {
+    currentOccurrence = props;
+    const exception = props.exception || {};
+    document.getElementById('occurrenceModalTitle').textContent = props.templateTitle;
+    document.getElementById('occurrenceDueDate').textContent = props.occurrenceDueDate;
+    document.getElementById('occurrenceEditLink').href = props.url;
+    document.getElementById('occurrenceFields').classList.toggle('d-none', props.completionBased);
+    document.getElementById('occurrenceCompletionNote').classList.toggle('d-none', !props.completionBased);
+    document.getElementById('occurrenceSaveBtn').classList.toggle('d-none', props.completionBased);
+    occurrenceAlert.className = 'alert d-none';
+
+    const action = exception.skip ? 'skip' : exception.newDueDate ? 'move' : 'scheduled';
+    occurrenceForm.querySelector(`input[name="occurrenceAction"][value="${action}"]`).checked = true;
+    newDueDateInput.value = exception.newDueDate || props.occurrenceDueDate;
+    occurrenceAssignee.value = exception.assignee ? `${exception.assignee.type}:${exception.assignee.id}` : '';
+    syncOccurrenceFields();
+    occurrenceModal.show();
+  }
+
+  occurrenceForm.querySelectorAll('input[name="occurrenceAction"]').forEach((input) => {
+    input.addEventListener('change', syncOccurrenceFields);
+  });
+
+  occurrenceForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const action = occurrenceForm.querySelector('input[name="occurrenceAction"]:checked').value;
+    const [type, id] = occurrenceAssignee.value.split(':');
+    const payload = {
+      skip: action === 'skip',
+      newDueDate: action === 'move' ? newDueDateInput.value : '',
+      assignee: id ? { type, id } : null
+    };
+    const { templateId, occurrenceDueDate } = currentOccurrence;
+    try {
+      const response = await fetch(`/api/templates/${templateId}/exceptions/${occurrenceDueDate}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showOccurrenceAlert((data.errors && data.errors.join('\n')) || data.error || 'Unable to save.');
+        return;
+      }
+      occurrenceModal.hide();
+      calendar.refetchEvents();
+    } catch (err) {
+      showOccurrenceAlert('Unable to save.');
+    }
+  });
+
+  document.getElementById('occurrencePauseBtn').addEventListener('click', async () => {
+    if (!window.confirm(`Pause "${currentOccurrence.templateTitle}"? No tasks are created until it is resumed from the Templates page.`)) return;
+    try {
+      const response = await fetch(`/api/templates/${currentOccurrence.templateId}/pause`, { method: 'POST' });
+      if (!response.ok) {
+        showOccurrenceAlert('Unable to pause the template.');
+        return;
+      }
+      occurrenceModal.hide();
+      calendar.refetchEvents();
+    } catch (err) {
+      showOccurrenceAlert('Unable to pause the template.');
+    }
+  });
+
   calendar.render();
 
   layerCheckboxes.forEach((cb) => cb.addEventListener('change', () => calendar.refetchEvents()));
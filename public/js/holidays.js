@@ -0,0 +1,220 @@
+const tableBody = document.querySelector('#calendarsTable tbody');
+const alertBox = document.querySelector('#holidayAlert');
+const formCard = document.querySelector('#calendarFormCard');
+const form = document.querySelector('#calendarForm');
+const formTitle = document.querySelector('#calendarFormTitle');
+const calendarName = document.querySelector('#calendarName');
+const calendarIdInput = document.querySelector('#calendarId');
+const holidayDate = document.querySelector('#holidayDate');
+const holidayName = document.querySelector('#holidayName');
+const holidaysTableBody = document.querySelector('#holidaysTable tbody');
+const icsImportGroup = document.querySelector('#icsImportGroup');
+const icsFile = document.querySelector('#icsFile');
+const addBtn = document.querySelector('#addCalendarBtn');
+const addHolidayBtn = document.querySelector('#addHolidayBtn');
+const importIcsBtn = document.querySelector('#importIcsBtn');
+const cancelBtn = document.querySelector('#cancelCalendarBtn');
+
+let calendars = calendarsData || [];
+// Holidays being edited in the form, sorted by date.
+let editingHolidays = [];
+
+function showAlert(message, type = 'info') {
+  alertBox.textContent = message;
+  alertBox.className = `alert alert-${type}`;
+  alertBox.classList.remove('d-none');
+}
+
+function hideAlert() {
+  alertBox.classList.add('d-none');
+}
+
+function nextHoliday(calendar) {
+  const today = new Date().toISOString().slice(0, 10);
+  const holiday = calendar.holidays.find((h) => h.date >= today);
+  if (!holiday) return '';
+  return holiday.name ? `${holiday.date} (${holiday.name})` : holiday.date;
+}
+
+function renderTable() {
+  tableBody.innerHTML = '';
+  calendars.forEach((calendar) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${calendar.name}</td>
+      <td>${calendar.holidays.length}</td>
+      <td>${nextHoliday(calendar)}</td>
+      <td>
+        <button class="btn btn-sm btn-outline-primary me-2" data-action="edit" data-id="${calendar.id}">Edit</button>
+        <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${calendar.id}">Delete</button>
+      </td>
+    `;
+    tableBody.appendChild(row);
+  });
+}
+
+function renderHolidays() {
+  holidaysTableBody.innerHTML = '';
+  if (!editingHolidays.length) {
+    holidaysTableBody.innerHTML = '<tr><td class="text-muted">No holidays yet.</td></tr>';
+    return;
+  }
+  editingHolidays.forEach((holiday) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${holiday.date}</td>
+      <td>${holiday.name || ''}</td>
+      <td class="text-end">
+        <button class="btn btn-sm btn-outline-danger" type="button" data-date="${holiday.date}">Remove</button>
+      </td>
+    `;
+    holidaysTableBody.appendChild(row);
+  });
+}
+
+function openForm(calendar = null) {
+  form.reset();
+  if (calendar) {
+    formTitle.textContent = 'Edit Calendar';
+    calendarName.value = calendar.name;
+    calendarIdInput.value = calendar.id;
+    editingHolidays = calendar.holidays.map((holiday) => ({ ...holiday }));
+  } else {
+    formTitle.textContent = 'Add Calendar';
+    calendarIdInput.value = '';
+    editingHolidays = [];
+  }
+  // Imports go straight to the server, so the calendar has to exist first.
+  icsImportGroup.classList.toggle('d-none', !calendar);
+  renderHolidays();
+  formCard.classList.remove('d-none');
+}
+
+function closeForm() {
+  formCard.classList.add('d-none');
+  form.reset();
+  calendarIdInput.value = '';
+  editingHolidays = [];
+}
+
+addBtn.addEventListener('click', () => openForm());
+cancelBtn.addEventListener('click', closeForm);
+
+addHolidayBtn.addEventListener('click', () => {
+  if (!holidayDate.value) {
+    showAlert('Pick a date for the holiday.', 'warning');
+    return;
+  }
+  hideAlert();
+  editingHolidays = editingHolidays.filter((h) => h.date !== holidayDate.value);
+  editingHolidays.push({ date: holidayDate.value, name: holidayName.value.trim() });
+  editingHolidays.sort((a, b) => a.date.localeCompare(b.date));
+  holidayDate.value = '';
+  holidayName.value = '';
+  renderHolidays();
+});
+
+holidaysTableBody.addEventListener('click', (event) => {
+  const date = event.target.dataset.date;
+  if (!date) return;
+  editingHolidays = editingHolidays.filter((h) => h.date !== date);
+  renderHolidays();
+});
+
+importIcsBtn.addEventListener('click', async () => {
+  const id = calendarIdInput.value;
+  const file = icsFile.files[0];
+  if (!id || !file) {
+    showAlert('Choose an .ics file to import.', 'warning');
+    return;
+  }
+  hideAlert();
+  try {
+    const text = await file.text();
+    const response = await fetch(`/api/holiday-calendars/${id}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/calendar' },
+      body: text
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showAlert(data.error || 'Unable to import holidays', 'danger');
+      return;
+    }
+    calendars = calendars.map((c) => (c.id === id ? data.calendar : c));
+    editingHolidays = data.calendar.holidays.map((holiday) => ({ ...holiday }));
+    icsFile.value = '';
+    renderTable();
+    renderHolidays();
+    const skippedText = data.skipped ? ` ${data.skipped} event(s) could not be read.` : '';
+    showAlert(`Imported ${data.imported} holiday date(s).${skippedText}`, 'success');
+  } catch (err) {
+    showAlert('Unexpected error importing holidays.', 'danger');
+  }
+});
+
+tableBody.addEventListener('click', async (event) => {
+  const action = event.target.dataset.action;
+  const id = event.target.dataset.id;
+  if (!action || !id) return;
+
+  if (action === 'edit') {
+    const calendar = calendars.find((c) => c.id === id);
+    openForm(calendar);
+  }
+
+  if (action === 'delete') {
+    if (!confirm('Delete this holiday calendar?')) return;
+    try {
+      const response = await fetch(`/api/holiday-calendars/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(data.error || 'Unable to delete holiday calendar', 'danger');
+        return;
+      }
+      calendars = calendars.filter((c) => c.id !== id);
+      renderTable();
+      showAlert('Holiday calendar deleted.', 'success');
+    } catch (err) {
+      showAlert('Unexpected error deleting holiday calendar.', 'danger');
+    }
+  }
+});
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  hideAlert();
+  const payload = {
+    name: calendarName.value.trim(),
+    holidays: editingHolidays
+  };
+  const id = calendarIdInput.value;
+  const method = id ? 'PUT' : 'POST';
+  const url = id ? `/api/holiday-calendars/${id}` : '/api/holiday-calendars';
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showAlert(data.error || 'Validation error', 'danger');
+      return;
+    }
+    if (id) {
+      calendars = calendars.map((c) => (c.id === id ? data : c));
+      showAlert('Holiday calendar updated.', 'success');
+    } else {
+      calendars.push(data);
+      showAlert('Holiday calendar created.', 'success');
+    }
+    renderTable();
+    closeForm();
+  } catch (err) {
+    showAlert('Unexpected error saving holiday calendar.', 'danger');
+  }
+});
+
+renderTable();
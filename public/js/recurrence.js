@@ -1,26 +1,141 @@
 /* Shared helper used by multiple pages to describe recurrence rules. */
 (function () {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+  function monthlyDay(monthly = {}) {
+    switch (monthly.pattern || 'dayOfMonth') {
+      case 'nthWeekday':
+        return `the ${ordinals[monthly.nth] ?? '?'} ${days[monthly.weekday] ?? '?'}`;
+      case 'lastDay':
+        return 'the last day';
+      case 'lastBusinessDay':
+        return 'the last business day';
+      default:
+        return `day ${monthly.dayOfMonth ?? '?'}`;
+    }
+  }
+
+  const rruleDays = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+  const rruleUnits = { DAILY: ['Daily', 'day'], WEEKLY: ['Weekly', 'week'], MONTHLY: ['Monthly', 'month'], YEARLY: ['Yearly', 'year'] };
+  const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+  function ordinal(n) {
+    if (ordinals[n]) return ordinals[n];
+    if (n < 0) return `${ordinal(-n)} to last`;
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    return `${n}${suffix}`;
+  }
+
+  function joinList(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+  }
+
+  // Plain-English summary of an RRULE string; the server does the validation.
+  function rruleDescription(text) {
+    const parts = {};
+    String(text || '').trim().replace(/^RRULE:/i, '').toUpperCase().split(';').filter(Boolean).forEach((segment) => {
+      const [key, value] = segment.split('=');
+      parts[key] = value || '';
+    });
+    const unit = rruleUnits[parts.FREQ];
+    if (!unit) return 'Invalid RRULE';
+
+    const interval = Number(parts.INTERVAL || 1);
+    let summary = interval > 1 ? `Every ${interval} ${unit[1]}s` : unit[0];
+    if (parts.BYMONTH) {
+      summary += ` in ${joinList(parts.BYMONTH.split(',').map((m) => months[Number(m) - 1] || '?'))}`;
+    }
+
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+    // Ordinals count within the year for YEARLY rules without BYMONTH.
+    const ordinalScope = parts.FREQ === 'YEARLY' && !parts.BYMONTH ? ' of the year' : '';
+    const setPos = parts.BYSETPOS ? parts.BYSETPOS.split(',').map(Number) : [];
+    const weekdaySet = ['MO', 'TU', 'WE', 'TH', 'FR'];
+    const isWeekdays = byDay.length === 5 && weekdaySet.every((day) => byDay.includes(day));
+    if (isWeekdays && setPos.length) {
+      summary += ` on the ${joinList(setPos.map(ordinal))} weekday`;
+    } else if (byDay.length) {
+      const names = isWeekdays
+        ? ['weekdays']
+        : byDay.map((raw) => {
+          const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(raw);
+          const name = match ? days[rruleDays[match[2]]] || '?' : '?';
+          return match && match[1] ? `the ${ordinal(Number(match[1]))} ${name}${ordinalScope}` : name;
+        });
+      summary += ` on ${joinList(names)}`;
+      if (setPos.length) summary += ` (occurrence ${setPos.join(', ')} of each ${unit[1]})`;
+    }
+    if (parts.BYMONTHDAY) {
+      const monthDays = parts.BYMONTHDAY.split(',').map(Number).map((n) => (n === -1 ? 'the last day' : n < 0 ? `${-n} days before month end` : `day ${n}`));
+      summary += `${byDay.length ? ' falling' : ''} on ${joinList(monthDays)}`;
+    }
+    if (parts.COUNT) summary += `, ${parts.COUNT} time(s)`;
+    if (/^\d{8}/.test(parts.UNTIL || '')) {
+      summary += `, until ${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+    }
+    return summary;
+  }
+
+  // Monday-first; older templates have a single dayOfWeek.
+  function weeklyDayNames(weekly = {}) {
+    const selected = (weekly.daysOfWeek || (weekly.dayOfWeek !== undefined ? [weekly.dayOfWeek] : [])).map(Number);
+    if (!selected.length) return 'the first due date\'s weekday';
+    return joinList([1, 2, 3, 4, 5, 6, 0].filter((day) => selected.includes(day)).map((day) => days[day]));
+  }
+
+  // The months a quarterly recurrence is due in, starting with its fiscal
+  // year's first quarter; older templates are due on each calendar quarter's
+  // first day.
+  function quarterlyDescription(quarterly = {}) {
+    const fiscalStart = Number(quarterly.fiscalYearStartMonth || 1);
+    const monthOfQuarter = Number(quarterly.monthOfQuarter || 1);
+    const dueMonths = [0, 3, 6, 9].map((offset) => months[(fiscalStart - 1 + monthOfQuarter - 1 + offset) % 12] || '?');
+    const day = quarterly.pattern === 'lastDay' ? 'the last day' : `day ${quarterly.dayOfMonth ?? 1}`;
+    const fiscalYear = fiscalStart === 1 ? '' : ` (fiscal year starts in ${months[fiscalStart - 1] || '?'})`;
+    return `Quarterly on ${day} of ${joinList(dueMonths)}${fiscalYear}`;
+  }
+
   function recurrenceDescription(recurrence) {
     if (!recurrence || !recurrence.type) return 'Not set';
     switch (recurrence.type) {
       case 'daily':
         return `Daily every ${recurrence.daily?.intervalDays ?? '?'} day(s)`;
       case 'weekly':
-        return `Weekly every ${recurrence.weekly?.intervalWeeks ?? '?'} week(s) on ${days[recurrence.weekly?.dayOfWeek ?? 0]}`;
+        return `Weekly every ${recurrence.weekly?.intervalWeeks ?? '?'} week(s) on ${weeklyDayNames(recurrence.weekly)}`;
       case 'monthly':
-        return `Monthly every ${recurrence.monthly?.intervalMonths ?? '?'} month(s) on day ${recurrence.monthly?.dayOfMonth ?? '?'}`;
+        return `Monthly every ${recurrence.monthly?.intervalMonths ?? '?'} month(s) on ${monthlyDay(recurrence.monthly)}`;
       case 'quarterly':
-        return 'Quarterly on the first day of each quarter';
+        return quarterlyDescription(recurrence.quarterly);
       case 'yearly':
+        if (recurrence.yearly?.pattern === 'lastDay') {
+          return `Yearly on the last day of ${months[recurrence.yearly.month - 1] || '?'}`;
+        }
         return `Yearly on ${recurrence.yearly?.month ?? '?'}/${recurrence.yearly?.day ?? '?'}`;
       case 'custom':
         return `Custom: start ${recurrence.custom?.startDate ?? '?'} every ${recurrence.custom?.intervalDays ?? '?'} day(s)`;
+      case 'afterCompletion':
+        return `${recurrence.afterCompletion?.intervalDays ?? '?'} day(s) after the previous task is closed`;
+      case 'rrule':
+        return rruleDescription(recurrence.rrule?.rule);
       default:
         return 'Unknown recurrence';
     }
   }
 
+  // Active-from date, end condition and exception count, or '' when none apply.
+  function activeWindowDescription(template) {
+    const parts = [];
+    if (template.activeFrom) parts.push(`Active from ${template.activeFrom}`);
+    if (template.ends?.type === 'afterOccurrences') parts.push(`ends after ${template.ends.occurrences} occurrence(s)`);
+    if (template.ends?.type === 'onDate') parts.push(`ends on ${template.ends.date}`);
+    const exceptionCount = (template.exceptions || []).length;
+    if (exceptionCount) parts.push(`${exceptionCount} occurrence exception(s)`);
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
   // Expose globally for simple use in inline scripts.
   window.recurrenceDescription = recurrenceDescription;
+  window.activeWindowDescription = activeWindowDescription;
 })();
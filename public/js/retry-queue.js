@@ -0,0 +1,86 @@
+const tableBody = document.querySelector('#retryQueueTable tbody');
+const alertBox = document.querySelector('#retryAlert');
+const emptyMessage = document.querySelector('#retryQueueEmpty');
+
+let items = retryQueueData || [];
+
+function showAlert(message, type = 'info') {
+  alertBox.textContent = message;
+  alertBox.className = `alert alert-${type}`;
+  alertBox.classList.remove('d-none');
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value ?? '';
+  return div.innerHTML;
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function renderTable() {
+  tableBody.innerHTML = '';
+  // Permanently failed items first; they need attention.
+  const sorted = [...items].sort((a, b) => (a.status === b.status ? 0 : a.status === 'failed' ? -1 : 1));
+  sorted.forEach((item) => {
+    const row = document.createElement('tr');
+    const badge = item.status === 'failed' ? 'bg-danger' : 'bg-warning text-dark';
+    row.innerHTML = `
+      <td><a href="/templates/${item.templateId}/edit">${escapeHtml(item.title)}</a></td>
+      <td>${item.dueDate}</td>
+      <td><span class="badge ${badge}">${item.status}</span></td>
+      <td>${item.attempts}</td>
+      <td class="small">${escapeHtml(item.lastError)}</td>
+      <td>${item.status === 'pending' ? formatDateTime(item.nextAttemptAt) : '—'}</td>
+      <td>
+        <button class="btn btn-sm btn-outline-primary me-2" data-action="retry" data-id="${item.id}">Retry</button>
+        <button class="btn btn-sm btn-outline-danger" data-action="dismiss" data-id="${item.id}">Dismiss</button>
+      </td>
+    `;
+    tableBody.appendChild(row);
+  });
+  emptyMessage.classList.toggle('d-none', items.length > 0);
+}
+
+tableBody.addEventListener('click', async (event) => {
+  const action = event.target.dataset.action;
+  const id = event.target.dataset.id;
+  if (!action || !id) return;
+
+  if (action === 'retry') {
+    try {
+      const response = await fetch(`/api/retry-queue/${id}/retry`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(data.error || 'Unable to retry item', 'danger');
+        return;
+      }
+      items = items.map((item) => (item.id === id ? data : item));
+      renderTable();
+      showAlert('Queued for retry on the next job run.', 'success');
+    } catch (err) {
+      showAlert('Unexpected error queuing retry.', 'danger');
+    }
+  }
+
+  if (action === 'dismiss') {
+    if (!confirm('Dismiss this item? The task will not be created.')) return;
+    try {
+      const response = await fetch(`/api/retry-queue/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(data.error || 'Unable to dismiss item', 'danger');
+        return;
+      }
+      items = items.filter((item) => item.id !== id);
+      renderTable();
+      showAlert('Item dismissed.', 'success');
+    } catch (err) {
+      showAlert('Unexpected error dismissing item.', 'danger');
+    }
+  }
+});
+
+renderTable();
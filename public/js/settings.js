@@ -0,0 +1,63 @@
+const discoverButton = document.querySelector('#discoverTaskFormBtn');
+const discoverAlert = document.querySelector('#discoverAlert');
+
+function showDiscoverAlert(message, type) {
+  discoverAlert.textContent = message;
+  discoverAlert.className = `alert alert-${type}`;
+  discoverAlert.classList.remove('d-none');
+}
+
+discoverButton.addEventListener('click', async () => {
+  discoverButton.disabled = true;
+  try {
+    const response = await fetch('/api/osticket/task-form');
+    const data = await response.json();
+    if (!response.ok) {
+      showDiscoverAlert(data.error || 'Discovery failed.', 'danger');
+      return;
+    }
+    ['taskFormId', 'titleFieldId', 'descriptionFieldId', 'taskSequenceId'].forEach((key) => {
+      document.querySelector(`#osticketIds_${key}`).value = data[key];
+    });
+    showDiscoverAlert('Discovered ids filled in. Click "Save settings" to keep them.', 'info');
+  } catch (err) {
+    showDiscoverAlert('Unexpected error discovering osTicket ids.', 'danger');
+  } finally {
+    discoverButton.disabled = false;
+  }
+});
+
+const settingsForm = document.querySelector('#settingsForm');
+const testNotificationButton = document.querySelector('#testNotificationBtn');
+const notificationAlert = document.querySelector('#notificationAlert');
+
+function showNotificationAlert(message, type) {
+  notificationAlert.textContent = message;
+  notificationAlert.className = `alert alert-${type}`;
+  notificationAlert.classList.remove('d-none');
+}
+
+testNotificationButton.addEventListener('click', async () => {
+  testNotificationButton.disabled = true;
+  try {
+    const response = await fetch('/api/notifications/test', {
+      method: 'POST',
+      body: new URLSearchParams(new FormData(settingsForm))
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showNotificationAlert(data.error || 'Test notification failed.', 'danger');
+      return;
+    }
+    const failures = data.results.filter((result) => !result.ok);
+    if (failures.length) {
+      showNotificationAlert(failures.map((result) => `${result.channel}: ${result.error}`).join(' '), 'danger');
+    } else {
+      showNotificationAlert(`Test notification sent via ${data.results.map((result) => result.channel).join(' and ')}.`, 'success');
+    }
+  } catch (err) {
+    showNotificationAlert('Unexpected error sending test notification.', 'danger');
+  } finally {
+    testNotificationButton.disabled = false;
+  }
+});
@@ -4,6 +4,7 @@ const departmentSelect = document.querySelector('#departmentId');
 const assigneeWrapper = document.querySelector('#assigneeSelectWrapper');
 const recurrenceTypeSelect = document.querySelector('#recurrenceType');
 const recurrenceFields = document.querySelector('#recurrenceFields');
+const childTasksContainer = document.querySelector('#childTasks');
 
 function showAlert(message, type = 'danger') {
   alertBox.textContent = message;
@@ -45,6 +46,39 @@ function renderAssigneeSelect(type) {
   assigneeWrapper.appendChild(select);
 }
 
+// Monday-first weekday checkboxes for weekly recurrences (values 0 = Sunday).
+function weekdayCheckboxes() {
+  const names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  return [1, 2, 3, 4, 5, 6, 0].map((day) => `
+    <div class="form-check form-check-inline">
+      <input class="form-check-input weekly-day" type="checkbox" id="weeklyDay${day}" value="${day}" />
+      <label class="form-check-label" for="weeklyDay${day}">${names[day].slice(0, 3)}</label>
+    </div>`).join('');
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function monthOptions() {
+  return MONTH_NAMES.map((name, index) => `<option value="${index + 1}">${name}</option>`).join('');
+}
+
+// Day-of-month or last-day choice for quarterly and yearly recurrences.
+function periodDayFields(prefix, day) {
+  return `
+          <div class="col-md-3">
+            <label class="form-label" for="${prefix}Pattern">On</label>
+            <select class="form-select" id="${prefix}Pattern">
+              <option value="dayOfMonth">A day of the month</option>
+              <option value="lastDay">The last day of the month</option>
+            </select>
+          </div>
+          <div class="col-md-3 period-pattern" data-pattern="dayOfMonth">
+            <label class="form-label" for="${prefix}Day">Day</label>
+            <input class="form-control" type="number" min="1" max="31" id="${prefix}Day" value="${day ?? ''}" />
+            <div class="form-text">Days past the end of a month use its last day.</div>
+          </div>`;
+}
+
 function renderRecurrenceFields(type, data = {}) {
   let html = '';
   switch (type) {
@@ -64,9 +98,46 @@ function renderRecurrenceFields(type, data = {}) {
             <label class="form-label" for="weeklyInterval">Every X weeks</label>
             <input class="form-control" type="number" min="1" id="weeklyInterval" value="${data.intervalWeeks || ''}" required />
           </div>
-          <div class="col-md-4">
-            <label class="form-label" for="weeklyDay">Day of week</label>
-            <select class="form-select" id="weeklyDay" required>
+          <div class="col-md-8">
+            <label class="form-label d-block">On</label>
+            ${weekdayCheckboxes()}
+          </div>
+        </div>`;
+      break;
+    case 'monthly':
+      html = `
+        <div class="row g-3">
+          <div class="col-md-3">
+            <label class="form-label" for="monthlyInterval">Every X months</label>
+            <input class="form-control" type="number" min="1" id="monthlyInterval" value="${data.intervalMonths || ''}" required />
+          </div>
+          <div class="col-md-3">
+            <label class="form-label" for="monthlyPattern">On</label>
+            <select class="form-select" id="monthlyPattern">
+              <option value="dayOfMonth">A day of the month</option>
+              <option value="nthWeekday">A weekday of the month</option>
+              <option value="lastDay">The last day of the month</option>
+              <option value="lastBusinessDay">The last business day of the month</option>
+            </select>
+          </div>
+          <div class="col-md-3 monthly-pattern" data-pattern="dayOfMonth">
+            <label class="form-label" for="monthlyDay">Day</label>
+            <input class="form-control" type="number" min="1" max="31" id="monthlyDay" value="${data.dayOfMonth || ''}" />
+            <div class="form-text">Days past the end of a month use its last day.</div>
+          </div>
+          <div class="col-md-3 monthly-pattern" data-pattern="nthWeekday">
+            <label class="form-label" for="monthlyNth">Which</label>
+            <select class="form-select" id="monthlyNth">
+              <option value="1">First</option>
+              <option value="2">Second</option>
+              <option value="3">Third</option>
+              <option value="4">Fourth</option>
+              <option value="-1">Last</option>
+            </select>
+          </div>
+          <div class="col-md-3 monthly-pattern" data-pattern="nthWeekday">
+            <label class="form-label" for="monthlyWeekday">Weekday</label>
+            <select class="form-select" id="monthlyWeekday">
               <option value="0">Sunday</option>
               <option value="1">Monday</option>
               <option value="2">Tuesday</option>
@@ -78,46 +149,36 @@ function renderRecurrenceFields(type, data = {}) {
           </div>
         </div>`;
       break;
-    case 'monthly':
+    case 'quarterly':
       html = `
         <div class="row g-3">
-          <div class="col-md-4">
-            <label class="form-label" for="monthlyInterval">Every X months</label>
-            <input class="form-control" type="number" min="1" id="monthlyInterval" value="${data.intervalMonths || ''}" required />
+          <div class="col-md-3">
+            <label class="form-label" for="quarterlyFiscalStart">Fiscal year starts in</label>
+            <select class="form-select" id="quarterlyFiscalStart">${monthOptions()}</select>
           </div>
-          <div class="col-md-4">
-            <label class="form-label" for="monthlyDay">On day</label>
-            <input class="form-control" type="number" min="1" max="31" id="monthlyDay" value="${data.dayOfMonth || ''}" required />
+          <div class="col-md-3">
+            <label class="form-label" for="quarterlyMonth">Month of each quarter</label>
+            <select class="form-select" id="quarterlyMonth">
+              <option value="1">First</option>
+              <option value="2">Second</option>
+              <option value="3">Third</option>
+            </select>
+          </div>
+          ${periodDayFields('quarterly', data.dayOfMonth ?? 1)}
+          <div class="col-12">
+            <div class="form-text" id="quarterlySummary"></div>
+            <div class="form-text">For a filing due the 15th of the month after each quarter ends, choose the first month and day 15.</div>
           </div>
         </div>`;
       break;
-    case 'quarterly':
-      html = `<div class="alert alert-info">First day of each quarter (Jan 1, Apr 1, Jul 1, Oct 1).</div>`;
-      break;
     case 'yearly':
       html = `
         <div class="row g-3">
-          <div class="col-md-4">
+          <div class="col-md-3">
             <label class="form-label" for="yearlyMonth">Month</label>
-            <select class="form-select" id="yearlyMonth" required>
-              <option value="1">January</option>
-              <option value="2">February</option>
-              <option value="3">March</option>
-              <option value="4">April</option>
-              <option value="5">May</option>
-              <option value="6">June</option>
-              <option value="7">July</option>
-              <option value="8">August</option>
-              <option value="9">September</option>
-              <option value="10">October</option>
-              <option value="11">November</option>
-              <option value="12">December</option>
-            </select>
-          </div>
-          <div class="col-md-4">
-            <label class="form-label" for="yearlyDay">Day of month</label>
-            <input class="form-control" type="number" min="1" max="31" id="yearlyDay" value="${data.day || ''}" required />
+            <select class="form-select" id="yearlyMonth" required>${monthOptions()}</select>
           </div>
+          ${periodDayFields('yearly', data.day)}
         </div>`;
       break;
     case 'custom':
@@ -133,17 +194,187 @@ function renderRecurrenceFields(type, data = {}) {
           </div>
         </div>`;
       break;
+    case 'afterCompletion':
+      html = `
+        <div class="row g-3">
+          <div class="col-md-4">
+            <label class="form-label" for="afterCompletionInterval">Due X days after the previous task is closed</label>
+            <input class="form-control" type="number" min="1" id="afterCompletionInterval" value="${data.intervalDays || ''}" required />
+          </div>
+          <div class="col-md-8">
+            <div class="form-text mt-md-4">The first task is due on the first due date. Each next task is created only once the previous one is closed in osTicket.</div>
+          </div>
+        </div>`;
+      break;
+    case 'rrule':
+      html = `
+        <div class="row g-3">
+          <div class="col-md-8">
+            <label class="form-label" for="rruleText">RRULE</label>
+            <input class="form-control font-monospace" id="rruleText" placeholder="FREQ=MONTHLY;BYDAY=2TU" required />
+            <div class="form-text" id="rruleSummary"></div>
+          </div>
+          <div class="col-md-4">
+            <div class="form-text mt-md-4">
+              An iCalendar (RFC 5545) rule starting from the first due date, e.g. <code>FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1</code> for the last weekday of each month.
+            </div>
+          </div>
+        </div>`;
+      break;
     default:
       break;
   }
   recurrenceFields.innerHTML = html;
   // Apply saved values for select fields
-  if (type === 'weekly' && data.dayOfWeek !== undefined) {
-    document.querySelector('#weeklyDay').value = data.dayOfWeek;
+  if (type === 'rrule') {
+    const rruleInput = document.querySelector('#rruleText');
+    const summarize = () => {
+      document.querySelector('#rruleSummary').textContent = rruleInput.value.trim()
+        ? recurrenceDescription({ type: 'rrule', rrule: { rule: rruleInput.value } })
+        : '';
+    };
+    rruleInput.value = data.rule || '';
+    rruleInput.addEventListener('input', summarize);
+    summarize();
+  }
+  if (type === 'weekly') {
+    const days = data.daysOfWeek || (data.dayOfWeek !== undefined ? [data.dayOfWeek] : []);
+    document.querySelectorAll('.weekly-day').forEach((input) => {
+      input.checked = days.map(Number).includes(Number(input.value));
+    });
   }
   if (type === 'yearly' && data.month !== undefined) {
     document.querySelector('#yearlyMonth').value = data.month;
   }
+  if (type === 'quarterly' || type === 'yearly') {
+    const patternSelect = document.querySelector(`#${type}Pattern`);
+    patternSelect.value = data.pattern || 'dayOfMonth';
+    const togglePatternFields = () => {
+      document.querySelectorAll('.period-pattern').forEach((el) => {
+        el.classList.toggle('d-none', el.dataset.pattern !== patternSelect.value);
+      });
+    };
+    patternSelect.addEventListener('change', togglePatternFields);
+    togglePatternFields();
+  }
+  if (type === 'quarterly') {
+    document.querySelector('#quarterlyFiscalStart').value = data.fiscalYearStartMonth || 1;
+    document.querySelector('#quarterlyMonth').value = data.monthOfQuarter || 1;
+    const summarize = () => {
+      document.querySelector('#quarterlySummary').textContent = recurrenceDescription(buildRecurrencePayload());
+    };
+    recurrenceFields.querySelectorAll('select, input').forEach((input) => {
+      input.addEventListener('input', summarize);
+      input.addEventListener('change', summarize);
+    });
+    summarize();
+  }
+  if (type === 'monthly') {
+    const patternSelect = document.querySelector('#monthlyPattern');
+    patternSelect.value = data.pattern || 'dayOfMonth';
+    if (data.nth !== undefined) document.querySelector('#monthlyNth').value = data.nth;
+    if (data.weekday !== undefined) document.querySelector('#monthlyWeekday').value = data.weekday;
+    const togglePatternFields = () => {
+      document.querySelectorAll('.monthly-pattern').forEach((el) => {
+        el.classList.toggle('d-none', el.dataset.pattern !== patternSelect.value);
+      });
+    };
+    patternSelect.addEventListener('change', togglePatternFields);
+    togglePatternFields();
+  }
+}
+
+// Child task rows. Assignee options combine staff and teams as "type:id";
+// blank department/assignee inherit the template's.
+function buildChildAssigneeSelect(selected) {
+  const select = document.createElement('select');
+  select.className = 'form-select child-assignee';
+  select.appendChild(buildOption('', 'Same as template'));
+  [
+    ['staff', 'Staff', referenceData.staff, (item) => item.displayName],
+    ['team', 'Teams', referenceData.teams, (item) => item.name]
+  ].forEach(([type, label, list, name]) => {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    list.forEach((item) => group.appendChild(buildOption(`${type}:${item.id}`, name(item))));
+    select.appendChild(group);
+  });
+  if (selected && selected.id) {
+    select.value = `${selected.type}:${selected.id}`;
+  }
+  return select;
+}
+
+function addChildTaskRow(data = {}) {
+  const row = document.createElement('div');
+  row.className = 'card card-body mb-2 child-task';
+  row.innerHTML = `
+    <div class="row g-2">
+      <div class="col-md-5">
+        <label class="form-label small">Title</label>
+        <input class="form-control child-title" required />
+      </div>
+      <div class="col-md-2">
+        <label class="form-label small">Due offset (days)</label>
+        <input class="form-control child-offset" type="number" value="0" />
+      </div>
+      <div class="col-md-2">
+        <label class="form-label small">Department</label>
+        <select class="form-select child-department"></select>
+      </div>
+      <div class="col-md-3">
+        <label class="form-label small">Assignee</label>
+        <div class="child-assignee-wrapper"></div>
+      </div>
+      <div class="col-12">
+        <label class="form-label small">Description</label>
+        <textarea class="form-control child-description" rows="2"></textarea>
+      </div>
+      <div class="col-12 text-end">
+        <button type="button" class="btn btn-sm btn-outline-danger child-remove">Remove</button>
+      </div>
+    </div>`;
+  const departmentSelectEl = row.querySelector('.child-department');
+  departmentSelectEl.appendChild(buildOption('', 'Same as template'));
+  referenceData.departments.forEach((dept) => departmentSelectEl.appendChild(buildOption(dept.id, dept.name)));
+  row.querySelector('.child-assignee-wrapper').appendChild(buildChildAssigneeSelect(data.assignee));
+  row.querySelector('.child-title').value = data.title || '';
+  row.querySelector('.child-offset').value = data.dueOffsetDays ?? 0;
+  row.querySelector('.child-description').value = data.description || '';
+  departmentSelectEl.value = data.departmentId || '';
+  row.querySelector('.child-remove').addEventListener('click', () => row.remove());
+  childTasksContainer.appendChild(row);
+}
+
+function buildChildTasksPayload() {
+  return Array.from(childTasksContainer.querySelectorAll('.child-task')).map((row) => {
+    const [assigneeType, assigneeId] = row.querySelector('.child-assignee').value.split(':');
+    return {
+      title: row.querySelector('.child-title').value.trim(),
+      description: row.querySelector('.child-description').value.trim(),
+      departmentId: row.querySelector('.child-department').value,
+      assignee: assigneeId ? { type: assigneeType, id: assigneeId } : null,
+      dueOffsetDays: Number(row.querySelector('.child-offset').value || 0)
+    };
+  });
+}
+
+function toggleEndsFields() {
+  const endsType = document.querySelector('#endsType').value;
+  document.querySelectorAll('.ends-field').forEach((field) => {
+    field.classList.toggle('d-none', field.dataset.ends !== endsType);
+  });
+}
+
+function buildEndsPayload() {
+  const type = document.querySelector('#endsType').value;
+  if (type === 'afterOccurrences') {
+    return { type, occurrences: Number(document.querySelector('#endsOccurrences').value) };
+  }
+  if (type === 'onDate') {
+    return { type, date: document.querySelector('#endsDate').value };
+  }
+  return { type: 'never' };
 }
 
 function hydrateForm() {
@@ -153,6 +384,8 @@ function hydrateForm() {
   document.querySelector('#clientId').value = templateData.clientId;
   document.querySelector('#firstDueDate').value = templateData.firstDueDate;
   document.querySelector('#daysBefore').value = templateData.daysBeforeDueDateToCreate;
+  document.querySelector('#dueTime').value = templateData.dueTime || '';
+  document.querySelector('#timeZone').value = templateData.timeZone || '';
   const typeRadio = document.querySelector(`input[name="assigneeType"][value="${templateData.assignee.type}"]`);
   if (typeRadio) typeRadio.checked = true;
   renderAssigneeSelect(templateData.assignee.type);
@@ -161,6 +394,17 @@ function hydrateForm() {
   departmentSelect.value = templateData.departmentId;
   recurrenceTypeSelect.value = templateData.recurrence.type;
   renderRecurrenceFields(templateData.recurrence.type, templateData.recurrence[templateData.recurrence.type] || {});
+  document.querySelector('#activeFrom').value = templateData.activeFrom || '';
+  const ends = templateData.ends || { type: 'never' };
+  document.querySelector('#endsType').value = ends.type;
+  document.querySelector('#endsOccurrences').value = ends.occurrences || '';
+  document.querySelector('#endsDate').value = ends.date || '';
+  toggleEndsFields();
+  const businessDays = templateData.businessDays || {};
+  document.querySelector('#businessDayPolicy').value = businessDays.policy || 'keep';
+  document.querySelector('#holidayCalendarId').value = businessDays.calendarId || '';
+  document.querySelector('#countLeadTimeInBusinessDays').checked = Boolean(businessDays.countLeadTimeInBusinessDays);
+  (templateData.childTasks || []).forEach((child) => addChildTaskRow(child));
 }
 
 function loadReferenceLists() {
@@ -206,6 +450,8 @@ function loadReferenceLists() {
     } else {
       renderRecurrenceFields(recurrenceTypeSelect.value);
     }
+    refreshPreview();
+    refreshSchedulePreview();
   });
 }
 
@@ -219,53 +465,263 @@ function buildRecurrencePayload() {
     case 'weekly':
       payload.weekly = {
         intervalWeeks: Number(document.querySelector('#weeklyInterval').value),
-        dayOfWeek: Number(document.querySelector('#weeklyDay').value)
+        daysOfWeek: Array.from(document.querySelectorAll('.weekly-day:checked')).map((input) => Number(input.value))
       };
       break;
-    case 'monthly':
+    case 'monthly': {
+      const pattern = document.querySelector('#monthlyPattern').value;
       payload.monthly = {
         intervalMonths: Number(document.querySelector('#monthlyInterval').value),
-        dayOfMonth: Number(document.querySelector('#monthlyDay').value)
+        pattern
       };
+      if (pattern === 'dayOfMonth') {
+        payload.monthly.dayOfMonth = Number(document.querySelector('#monthlyDay').value);
+      } else if (pattern === 'nthWeekday') {
+        payload.monthly.nth = Number(document.querySelector('#monthlyNth').value);
+        payload.monthly.weekday = Number(document.querySelector('#monthlyWeekday').value);
+      }
       break;
-    case 'quarterly':
-      payload.quarterly = { useFirstDayOfQuarter: true };
-      break;
-    case 'yearly':
-      payload.yearly = {
-        month: Number(document.querySelector('#yearlyMonth').value),
-        day: Number(document.querySelector('#yearlyDay').value)
+    }
+    case 'quarterly': {
+      const pattern = document.querySelector('#quarterlyPattern').value;
+      payload.quarterly = {
+        fiscalYearStartMonth: Number(document.querySelector('#quarterlyFiscalStart').value),
+        monthOfQuarter: Number(document.querySelector('#quarterlyMonth').value),
+        pattern
       };
+      if (pattern === 'dayOfMonth') {
+        payload.quarterly.dayOfMonth = Number(document.querySelector('#quarterlyDay').value);
+      }
+      break;
+    }
+    case 'yearly': {
+      const pattern = document.querySelector('#yearlyPattern').value;
+      payload.yearly = { month: Number(document.querySelector('#yearlyMonth').value), pattern };
+      if (pattern === 'dayOfMonth') {
+        payload.yearly.day = Number(document.querySelector('#yearlyDay').value);
+      }
       break;
+    }
     case 'custom':
       payload.custom = {
         startDate: document.querySelector('#customStart').value,
         intervalDays: Number(document.querySelector('#customInterval').value)
       };
       break;
+    case 'afterCompletion':
+      payload.afterCompletion = { intervalDays: Number(document.querySelector('#afterCompletionInterval').value) };
+      break;
+    case 'rrule':
+      payload.rrule = { rule: document.querySelector('#rruleText').value.trim() };
+      break;
     default:
       break;
   }
   return payload;
 }
 
-form.addEventListener('submit', async (event) => {
-  event.preventDefault();
-  clearAlert();
-  const assigneeType = document.querySelector('input[name="assigneeType"]:checked').value;
-  const assigneeId = document.querySelector('#assigneeId').value;
-  const payload = {
+function buildPayload() {
+  const assigneeSelect = document.querySelector('#assigneeId');
+  return {
     title: document.querySelector('#title').value.trim(),
     description: document.querySelector('#description').value.trim(),
     clientId: document.querySelector('#clientId').value,
     departmentId: document.querySelector('#departmentId').value,
-    assignee: { type: assigneeType, id: assigneeId },
+    assignee: {
+      type: document.querySelector('input[name="assigneeType"]:checked').value,
+      id: assigneeSelect ? assigneeSelect.value : ''
+    },
     firstDueDate: document.querySelector('#firstDueDate').value,
     daysBeforeDueDateToCreate: Number(document.querySelector('#daysBefore').value || 0),
+    dueTime: document.querySelector('#dueTime').value,
+    timeZone: document.querySelector('#timeZone').value.trim(),
+    recurrence: buildRecurrencePayload(),
+    activeFrom: document.querySelector('#activeFrom').value,
+    ends: buildEndsPayload(),
+    businessDays: {
+      policy: document.querySelector('#businessDayPolicy').value,
+      calendarId: document.querySelector('#holidayCalendarId').value,
+      countLeadTimeInBusinessDays: document.querySelector('#countLeadTimeInBusinessDays').checked
+    },
+    childTasks: buildChildTasksPayload()
+  };
+}
+
+// Live preview of the schedule, from the same recurrence engine the template
+// job uses (loaded from /js/shared). Saved exceptions are included when
+// editing.
+const SCHEDULE_PREVIEW_COUNT = 12;
+const holidayCalendars = new Map(
+  holidayCalendarsData.map((calendar) => [calendar.id, new Set(calendar.holidays.map((h) => h.date))])
+);
+
+function localToday() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function previewDate(date) {
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  return `${weekday} ${recurrenceEngine.formatDate(date)}`;
+}
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+// The day of the month a monthly/yearly recurrence asks for, when it names one.
+function requestedDay(template) {
+  const { recurrence } = template;
+  if (recurrence.type === 'monthly' && (recurrence.monthly.pattern || 'dayOfMonth') === 'dayOfMonth') {
+    return recurrence.monthly.dayOfMonth || Number(template.firstDueDate.slice(8, 10));
+  }
+  if (recurrence.type === 'quarterly' && recurrence.quarterly.pattern === 'dayOfMonth') {
+    return recurrence.quarterly.dayOfMonth || 1;
+  }
+  if (recurrence.type === 'yearly' && recurrence.yearly.pattern === 'dayOfMonth') {
+    return recurrence.yearly.day || Number(template.firstDueDate.slice(8, 10));
+  }
+  return null;
+}
+
+function renderSchedulePreview({ rows = [], warnings = [], note = '' }) {
+  const table = document.querySelector('#scheduleTable');
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  rows.forEach((row, index) => {
+    const tr = document.createElement('tr');
+    tr.className = row.skipped ? 'text-muted text-decoration-line-through' : '';
+    tr.innerHTML = `<td>${index + 1}</td><td>${row.due}</td><td>${row.created}</td><td class="small text-muted"></td>`;
+    tr.lastElementChild.textContent = row.note || '';
+    body.appendChild(tr);
+  });
+  table.classList.toggle('d-none', !rows.length);
+  const warningsEl = document.querySelector('#scheduleWarnings');
+  warningsEl.innerHTML = '';
+  warnings.forEach((warning) => {
+    const div = document.createElement('div');
+    div.className = 'alert alert-warning py-1 px-2 small mb-2';
+    div.textContent = warning;
+    warningsEl.appendChild(div);
+  });
+  document.querySelector('#scheduleNote').textContent = note;
+}
+
+function refreshSchedulePreview() {
+  const payload = buildPayload();
+  if (!payload.firstDueDate) {
+    renderSchedulePreview({ note: 'Enter a first due date to preview the schedule.' });
+    return;
+  }
+  const template = {
+    ...payload,
+    id: templateData ? templateData.id : 'preview',
+    exceptions: templateData ? templateData.exceptions || [] : []
+  };
+  const today = localToday();
+  const warnings = [];
+  const rows = [];
+  const day = requestedDay(template);
+  const shortMonths = [];
+  let first = null;
+
+  try {
+    for (const occurrence of recurrenceEngine.occurrences(template, { holidayCalendars })) {
+      if (occurrence.status !== 'active') continue;
+      const actual = occurrence.match || occurrence;
+      if (!first && occurrence.match) first = occurrence.match;
+      if (recurrenceEngine.formatDate(actual.creationDate) < today) continue;
+
+      const scheduled = occurrence.scheduledDueDate;
+      const notes = [];
+      if (!occurrence.match) notes.push('Skipped');
+      if (actual.originalDueDate && actual.originalDueDate !== recurrenceEngine.formatDate(actual.dueDate)) {
+        notes.push(`Moved from ${actual.originalDueDate}`);
+      } else if (occurrence.dueDate.getTime() !== scheduled.getTime()) {
+        notes.push(`Moved off ${previewDate(scheduled)}`);
+      }
+      if (day && daysInMonth(scheduled) < day) {
+        shortMonths.push(scheduled.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }));
+      }
+      rows.push({ due: previewDate(actual.dueDate), created: previewDate(actual.creationDate), skipped: !occurrence.match, note: notes.join('; ') });
+      if (rows.length >= SCHEDULE_PREVIEW_COUNT) break;
+    }
+  } catch (err) {
+    renderSchedulePreview({ warnings: [err.message] });
+    return;
+  }
+
+  if (shortMonths.length) {
+    warnings.push(`There is no day ${day} in ${shortMonths.join(', ')}; those occurrences fall on the last day of the month.`);
+  }
+  // Only when the first occurrence is new: a saved template's first task was
+  // created (or missed) long ago.
+  const firstChanged = !templateData || templateData.firstDueDate !== template.firstDueDate || templateData.recurrence?.type !== template.recurrence.type;
+  if (first && firstChanged && recurrenceEngine.formatDate(first.creationDate) < today) {
+    warnings.unshift(
+      `The first occurrence (due ${previewDate(first.dueDate)}) would be created on ${previewDate(first.creationDate)}, which has already passed, so it will be missed.`
+    );
+  }
+
+  let note = '';
+  if (template.recurrence.type === 'afterCompletion') {
+    note = 'Later occurrences depend on when each task is closed in osTicket.';
+  } else if (!rows.length) {
+    note = 'No occurrences are left to create.';
+  }
+  renderSchedulePreview({ rows, warnings, note });
+}
+
+// Live preview of the title/description with placeholders expanded.
+let previewTimer = null;
+
+async function refreshPreview() {
+  const assigneeSelect = document.querySelector('#assigneeId');
+  const payload = {
+    title: document.querySelector('#title').value,
+    description: document.querySelector('#description').value,
+    clientId: document.querySelector('#clientId').value,
+    assignee: {
+      type: document.querySelector('input[name="assigneeType"]:checked').value,
+      id: assigneeSelect ? assigneeSelect.value : ''
+    },
+    firstDueDate: document.querySelector('#firstDueDate').value,
     recurrence: buildRecurrencePayload()
   };
+  try {
+    const response = await fetch('/api/templates/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) return;
+    const data = await response.json();
+    document.querySelector('#previewDueDate').textContent = data.dueDate;
+    document.querySelector('#previewTitle').textContent = data.title;
+    document.querySelector('#previewDescription').textContent = data.description;
+  } catch (err) {
+    // Keep the previous preview if the server cannot be reached.
+  }
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => {
+    refreshPreview();
+    refreshSchedulePreview();
+  }, 300);
+}
 
-  if (!payload.title || !payload.clientId || !payload.departmentId || !assigneeId || !payload.firstDueDate) {
+form.addEventListener('input', schedulePreview);
+form.addEventListener('change', schedulePreview);
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  clearAlert();
+  const payload = buildPayload();
+
+  if (!payload.title || !payload.clientId || !payload.departmentId || !payload.assignee.id || !payload.firstDueDate) {
     showAlert('Please fill in all required fields.', 'warning');
     return;
   }
@@ -296,6 +752,9 @@ document.querySelectorAll('input[name="assigneeType"]').forEach((input) => {
   });
 });
 
+document.querySelector('#addChildTaskBtn').addEventListener('click', () => addChildTaskRow());
+document.querySelector('#endsType').addEventListener('change', toggleEndsFields);
+
 recurrenceTypeSelect.addEventListener('change', (event) => {
   renderRecurrenceFields(event.target.value);
 });
@@ -0,0 +1,214 @@
+// History tab of the template edit page: every saved revision, what each
+// changed compared with the one before it, and restoring an older one.
+const historyAlert = document.querySelector('#historyAlert');
+const revisionList = document.querySelector('#revisionList');
+
+const ACTION_LABELS = {
+  baseline: 'Before history was kept',
+  create: 'Created',
+  update: 'Edited',
+  exception: 'Occurrence exceptions changed',
+  pause: 'Paused',
+  resume: 'Resumed',
+  restore: 'Restored'
+};
+const POLICY_LABELS = {
+  keep: 'Keep the date',
+  previous: 'Move to the previous business day',
+  next: 'Move to the next business day'
+};
+// Bookkeeping fields that change on every save.
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+function showHistoryAlert(message, type = 'danger') {
+  historyAlert.textContent = message;
+  historyAlert.className = `alert alert-${type}`;
+  historyAlert.classList.remove('d-none');
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value ?? '';
+  return div.innerHTML;
+}
+
+function clientName(id) {
+  const client = clientsData.find((c) => c.id === id);
+  return client ? client.name : id || 'None';
+}
+
+function departmentName(id) {
+  if (!id) return 'Same as template';
+  const department = referenceData.departments.find((d) => Number(d.id) === Number(id));
+  return department ? department.name : `#${id}`;
+}
+
+function assigneeName(assignee) {
+  if (!assignee || !assignee.id) return 'Same as template';
+  const list = assignee.type === 'team' ? referenceData.teams : referenceData.staff;
+  const match = list.find((item) => Number(item.id) === Number(assignee.id));
+  const name = match ? match.displayName || match.name : `#${assignee.id}`;
+  return `${assignee.type === 'team' ? 'Team' : 'Staff'} ${name}`;
+}
+
+function endsText(ends) {
+  if (ends?.type === 'afterOccurrences') return `After ${ends.occurrences} occurrence(s)`;
+  if (ends?.type === 'onDate') return `On ${ends.date}`;
+  return 'Never';
+}
+
+function exceptionsText(exceptions = []) {
+  if (!exceptions.length) return 'None';
+  return exceptions.map((exception) => {
+    if (exception.skip) return `${exception.dueDate} skipped`;
+    const changes = [];
+    if (exception.newDueDate) changes.push(`moved to ${exception.newDueDate}`);
+    if (exception.assignee) changes.push(`assigned to ${assigneeName(exception.assignee)}`);
+    return `${exception.dueDate} ${changes.join(', ')}`;
+  }).join('; ');
+}
+
+function childTasksText(childTasks = []) {
+  if (!childTasks.length) return 'None';
+  return childTasks.map((child) => {
+    const offset = Number(child.dueOffsetDays || 0);
+    const due = offset ? `, due ${offset > 0 ? '+' : ''}${offset} day(s)` : '';
+    return `${child.title} (${departmentName(child.departmentId)}, ${assigneeName(child.assignee)}${due})`;
+  }).join('; ');
+}
+
+function holidayCalendarName(id) {
+  if (!id) return 'None (weekends only)';
+  const calendar = holidayCalendarsData.find((c) => c.id === id);
+  return calendar ? calendar.name : id;
+}
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+// Template fields as shown in diffs, in form order. Each formats the whole
+// template so related fields (business days, recurrence) read as one value.
+const HISTORY_FIELDS = [
+  { key: 'title', label: 'Title', format: (t) => t.title || '' },
+  { key: 'clientId', label: 'Client', format: (t) => clientName(t.clientId) },
+  { key: 'description', label: 'Description', format: (t) => t.description || '' },
+  { key: 'departmentId', label: 'Department', format: (t) => departmentName(t.departmentId) },
+  { key: 'assignee', label: 'Assignee', format: (t) => assigneeName(t.assignee) },
+  { key: 'firstDueDate', label: 'First due date', format: (t) => t.firstDueDate || '' },
+  { key: 'daysBeforeDueDateToCreate', label: 'Days before due date to create', format: (t) => String(t.daysBeforeDueDateToCreate ?? 0) },
+  { key: 'dueTime', label: 'Due time', format: (t) => t.dueTime || 'Default' },
+  { key: 'timeZone', label: 'Timezone', format: (t) => t.timeZone || 'Default' },
+  { key: 'recurrence', label: 'Recurrence', format: (t) => recurrenceDescription(t.recurrence) },
+  { key: 'activeFrom', label: 'Active from', format: (t) => t.activeFrom || 'Not set' },
+  { key: 'ends', label: 'Ends', format: (t) => endsText(t.ends) },
+  { key: 'businessDays', label: 'On weekends and holidays', format: (t) => POLICY_LABELS[t.businessDays?.policy || 'keep'] },
+  { key: 'businessDays', label: 'Holiday calendar', format: (t) => holidayCalendarName(t.businessDays?.calendarId) },
+  { key: 'businessDays', label: 'Days before due date in business days', format: (t) => yesNo(t.businessDays?.countLeadTimeInBusinessDays) },
+  { key: 'childTasks', label: 'Child tasks', format: (t) => childTasksText(t.childTasks) },
+  { key: 'exceptions', label: 'Occurrence exceptions', format: (t) => exceptionsText(t.exceptions) },
+  { key: 'paused', label: 'Paused', format: (t) => yesNo(t.paused) }
+];
+
+// Changed fields between two template snapshots as { label, before, after }.
+// Fields without a formatter are compared as JSON.
+function diffTemplates(before, after) {
+  const changes = HISTORY_FIELDS
+    .map(({ label, format }) => ({ label, before: format(before), after: format(after) }))
+    .filter((change) => change.before !== change.after);
+  const known = new Set([...IGNORED_FIELDS, ...HISTORY_FIELDS.map((field) => field.key)]);
+  const otherKeys = new Set([...Object.keys(before), ...Object.keys(after)].filter((key) => !known.has(key)));
+  otherKeys.forEach((key) => {
+    const beforeText = JSON.stringify(before[key]) ?? '';
+    const afterText = JSON.stringify(after[key]) ?? '';
+    if (beforeText !== afterText) changes.push({ label: key, before: beforeText, after: afterText });
+  });
+  return changes;
+}
+
+function renderChanges(revision, previous) {
+  if (!previous) {
+    return revision.action === 'baseline'
+      ? '<p class="small text-muted mb-0">The template as it was before revision history was kept.</p>'
+      : '<p class="small text-muted mb-0">First version of the template.</p>';
+  }
+  const changes = diffTemplates(previous.template, revision.template);
+  if (!changes.length) {
+    return '<p class="small text-muted mb-0">No changes to the template\'s fields.</p>';
+  }
+  const rows = changes.map((change) => `
+    <tr>
+      <th class="fw-semibold">${escapeHtml(change.label)}</th>
+      <td class="text-danger text-decoration-line-through">${escapeHtml(change.before)}</td>
+      <td class="text-success">${escapeHtml(change.after)}</td>
+    </tr>`).join('');
+  return `
+    <table class="table table-sm small mb-0">
+      <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// revisions are newest first.
+function renderRevisions(revisions) {
+  if (!revisions.length) {
+    revisionList.innerHTML = '<p class="text-muted">No revisions have been saved for this template yet.</p>';
+    return;
+  }
+  revisionList.innerHTML = revisions.map((revision, index) => {
+    const previous = revisions[index + 1];
+    const restoredFrom = revision.restoredFrom ? ` from revision ${revision.restoredFrom}` : '';
+    const by = revision.changedBy ? ` by ${escapeHtml(revision.changedBy)}` : '';
+    const restoreButton = index === 0
+      ? '<span class="badge text-bg-success">Current</span>'
+      : `<button type="button" class="btn btn-sm btn-outline-primary restore-revision" data-id="${revision.id}" data-revision="${revision.revision}">Restore</button>`;
+    return `
+      <div class="card mb-3">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <div>
+            <span class="fw-semibold">Revision ${revision.revision}</span>
+            <span class="text-muted small">· ${escapeHtml(ACTION_LABELS[revision.action] || revision.action)}${restoredFrom} · ${new Date(revision.savedAt).toLocaleString()}${by}</span>
+          </div>
+          ${restoreButton}
+        </div>
+        <div class="card-body">${renderChanges(revision, previous)}</div>
+      </div>`;
+  }).join('');
+}
+
+async function loadRevisions() {
+  try {
+    const response = await fetch(`/api/templates/${templateData.id}/revisions`);
+    const data = await response.json();
+    if (!response.ok) {
+      showHistoryAlert(data.error || 'Unable to load revisions.');
+      return;
+    }
+    renderRevisions(data);
+  } catch (err) {
+    showHistoryAlert('Unexpected error loading revisions.');
+  }
+}
+
+revisionList.addEventListener('click', async (event) => {
+  const button = event.target.closest('.restore-revision');
+  if (!button) return;
+  if (!window.confirm(`Restore revision ${button.dataset.revision}? Any unsaved changes in the form are lost. Whether the template is paused and its occurrence exceptions stay as they are now. The current version stays in the history.`)) {
+    return;
+  }
+  button.disabled = true;
+  try {
+    const response = await fetch(`/api/templates/${templateData.id}/revisions/${button.dataset.id}/restore`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) {
+      showHistoryAlert(data.error || 'Unable to restore the revision.');
+      button.disabled = false;
+      return;
+    }
+    // Reload so the form shows the restored template.
+    window.location.reload();
+  } catch (err) {
+    showHistoryAlert('Unexpected error restoring the revision.');
+    button.disabled = false;
+  }
+});
+
+document.querySelector('#historyTabButton').addEventListener('shown.bs.tab', loadRevisions);
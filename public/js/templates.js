@@ -3,6 +3,9 @@ const templateAlert = document.querySelector('#templateAlert');
 const clientFilter = document.querySelector('#clientFilter');
 
 let templates = templatesData || [];
+const holidayCalendars = new Map(
+  (holidayCalendarsData || []).map((calendar) => [calendar.id, new Set(calendar.holidays.map((h) => h.date))])
+);
 
 function showAlert(message, type = 'info') {
   templateAlert.textContent = message;
@@ -30,6 +33,39 @@ function findStaff(id) {
   return referenceData.staff.find((s) => Number(s.id) === Number(id));
 }
 
+// Flags templates whose active window has not started or has passed. An
+// occurrence limit cannot be judged here without the generated-task history.
+function scheduleBadge(template) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (template.paused) {
+    return ' <span class="badge text-bg-warning">Paused</span>';
+  }
+  if (template.activeFrom && template.activeFrom > today) {
+    return ' <span class="badge text-bg-secondary">Not started</span>';
+  }
+  if (template.ends?.type === 'onDate' && template.ends.date < today) {
+    return ' <span class="badge text-bg-secondary">Ended</span>';
+  }
+  return '';
+}
+
+// The next occurrence still to be created, from the same recurrence engine
+// the template job uses. Completion-based schedules depend on osTicket.
+function nextOccurrenceText(template) {
+  if (template.paused || template.recurrence?.type === 'afterCompletion') return '';
+  const today = new Date().toISOString().slice(0, 10);
+  try {
+    for (const occurrence of recurrenceEngine.occurrences(template, { holidayCalendars, from: today })) {
+      const match = occurrence.match;
+      if (!match || recurrenceEngine.formatDate(match.creationDate) < today) continue;
+      return `Next due ${recurrenceEngine.formatDate(match.dueDate)}, created ${recurrenceEngine.formatDate(match.creationDate)}`;
+    }
+  } catch (err) {
+    return '';
+  }
+  return '';
+}
+
 function renderTemplates() {
   templatesTableBody.innerHTML = '';
   templates.forEach((template) => {
@@ -43,15 +79,22 @@ function renderTemplates() {
       const team = findTeam(template.assignee.id);
       assigneeText = team ? team.name : 'Team #' + template.assignee.id;
     }
+    const activeWindow = activeWindowDescription(template);
+    const nextOccurrence = nextOccurrenceText(template);
     const row = document.createElement('tr');
     row.innerHTML = `
-      <td>${template.title}</td>
+      <td>${template.title}${scheduleBadge(template)}</td>
       <td>${client ? client.name : 'Unknown client'}</td>
       <td>${department ? department.name : 'Unknown department'}</td>
       <td>${assigneeText}</td>
-      <td>${recurrenceDescription(template.recurrence)}</td>
+      <td>
+        ${recurrenceDescription(template.recurrence)}
+        ${activeWindow ? `<div class="small text-muted">${activeWindow}</div>` : ''}
+        ${nextOccurrence ? `<div class="small text-muted">${nextOccurrence}</div>` : ''}
+      </td>
       <td>
         <a class="btn btn-sm btn-outline-primary me-2" href="/templates/${template.id}/edit">View / Edit</a>
+        <button class="btn btn-sm btn-outline-warning me-2" data-action="${template.paused ? 'resume' : 'pause'}" data-id="${template.id}">${template.paused ? 'Resume' : 'Pause'}</button>
         <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${template.id}">Delete</button>
       </td>
     `;
@@ -99,6 +142,20 @@ templatesTableBody.addEventListener('click', async (event) => {
     } catch (err) {
       showAlert('Unexpected error deleting template.', 'danger');
     }
+  } else if (action === 'pause' || action === 'resume') {
+    try {
+      const response = await fetch(`/api/templates/${id}/${action}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(data.error || `Unable to ${action} template`, 'danger');
+        return;
+      }
+      templates = templates.map((t) => (t.id === id ? data : t));
+      renderTemplates();
+      showAlert(action === 'pause' ? 'Template paused.' : 'Template resumed.', 'success');
+    } catch (err) {
+      showAlert(`Unexpected error trying to ${action} template.`, 'danger');
+    }
   }
 });
 
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Copies clients, templates and their revisions, settings and the audit log
+ * of generated tasks from one storage backend to another (see
+ * data/storage.js), by default from the JSON files to SQLite:
+ *
+ *   node scripts/migrate-storage.js [--from json] [--to sqlite] [--sqlite-path file] [--force]
+ *
+ * The source is only read. A target that already holds data is left alone
+ * unless --force is given, in which case its contents are replaced.
+ */
+const storage = require('../data/storage');
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'sqlite', sqlitePath: null, force: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const readValue = () => (inlineValue !== undefined ? inlineValue : argv[(i += 1)]);
+    switch (flag) {
+      case '--from':
+        options.from = String(readValue() || '').toLowerCase();
+        break;
+      case '--to':
+        options.to = String(readValue() || '').toLowerCase();
+        break;
+      case '--sqlite-path':
+        options.sqlitePath = readValue();
+        if (!options.sqlitePath) throw new Error('--sqlite-path expects a file path.');
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (options.from === options.to) {
+    throw new Error('--from and --to must name different backends.');
+  }
+  return options;
+}
+
+async function targetHasData(target) {
+  for (const name of Object.keys(storage.COLLECTIONS)) {
+    if ((await target.collection(name).getAll()).length) return true;
+  }
+  for (const name of Object.keys(storage.DOCUMENTS)) {
+    if (await target.document(name).get()) return true;
+  }
+  return false;
+}
+
+async function migrate(options) {
+  const source = storage.createBackend(options.from, { sqlitePath: options.sqlitePath });
+  const target = storage.createBackend(options.to, { sqlitePath: options.sqlitePath });
+  try {
+    if (!options.force && (await targetHasData(target))) {
+      throw new Error(`The ${options.to} storage already holds data; rerun with --force to replace it.`);
+    }
+    for (const name of Object.keys(storage.COLLECTIONS)) {
+      const records = await source.collection(name).getAll();
+      await target.collection(name).replaceAll(records);
+      console.log(`Copied ${records.length} ${name} record(s).`);
+    }
+    for (const name of Object.keys(storage.DOCUMENTS)) {
+      const value = await source.document(name).get();
+      if (value) {
+        await target.document(name).set(value);
+        console.log(`Copied ${name}.`);
+      }
+    }
+    const where = target.path ? ` (${target.path})` : '';
+    console.log(`Migrated ${options.from} storage to ${options.to}${where}. Set STORAGE_BACKEND=${options.to} to use it.`);
+  } finally {
+    source.close();
+    target.close();
+  }
+}
+
+Promise.resolve()
+  .then(() => migrate(parseArgs(process.argv.slice(2))))
+  .catch((err) => {
+    console.error('Storage migration failed:', err.message);
+    process.exitCode = 1;
+  });
@@ -2,9 +2,25 @@ const express = require('express');
 const path = require('path');
 const clientsStore = require('./data/clientsStore');
 const templatesStore = require('./data/templatesStore');
+const templateRevisionsStore = require('./data/templateRevisionsStore');
 const db = require('./db/db');
 const settingsStore = require('./data/settingsStore');
+const retryQueueStore = require('./data/retryQueueStore');
+const runsStore = require('./data/runsStore');
+const generatedTasksStore = require('./data/generatedTasksStore');
+const holidayCalendarsStore = require('./data/holidayCalendarsStore');
 const calendarService = require('./services/calendar');
+const scheduler = require('./services/scheduler');
+const notifier = require('./services/notifier');
+const placeholders = require('./services/placeholders');
+const { isValidTimeZone, parseTimeOfDay, zonedDateAtTime } = require('./services/timezone');
+const { PATTERNS: MONTHLY_PATTERNS } = require('./services/monthlyPattern');
+const rrule = require('./services/rrule');
+const { END_TYPES, getWindow, occurrenceStatus } = require('./services/scheduleWindow');
+const { isCompletionBased, loadCompletionState, nextCompletionOccurrence } = require('./services/completionRecurrence');
+const recurrenceEngine = require('./services/recurrenceEngine');
+const { POLICIES: BUSINESS_DAY_POLICIES } = require('./services/businessDays');
+const { parseIcsHolidays } = require('./services/icsImport');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,6 +32,14 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Recurrence modules shared with the browser, in load order. They are UMD
+// files; each sets a global of its own name in the page.
+const SHARED_BROWSER_MODULES = ['monthlyPattern', 'rrule', 'scheduleWindow', 'occurrenceExceptions', 'businessDays', 'recurrenceEngine'];
+app.get('/js/shared/:module.js', (req, res, next) => {
+  if (!SHARED_BROWSER_MODULES.includes(req.params.module)) return next();
+  res.type('application/javascript').sendFile(path.join(__dirname, 'services', `${req.params.module}.js`));
+});
+
 // Utility: fetch supporting data from the osTicket database while handling
 // connection errors gracefully. Returns empty arrays when unavailable.
 async function loadReferenceData() {
@@ -43,6 +67,17 @@ async function loadReferenceData() {
   }
 }
 
+// Day options for quarterly and yearly recurrences, a subset of the monthly
+// patterns.
+const PERIOD_DAY_PATTERNS = ['dayOfMonth', 'lastDay'];
+
+// Weekdays (0 = Sunday) of a weekly recurrence as submitted: daysOfWeek, or
+// the single dayOfWeek older API clients send.
+function weeklyDaysOf(weekly) {
+  if (Array.isArray(weekly?.daysOfWeek)) return weekly.daysOfWeek;
+  return weekly?.dayOfWeek !== undefined && weekly?.dayOfWeek !== '' ? [weekly.dayOfWeek] : [];
+}
+
 // Helper: build recurrence object based on the selected type.
 function normalizeRecurrence(recurrence) {
   const type = recurrence.type;
@@ -55,30 +90,52 @@ function normalizeRecurrence(recurrence) {
     case 'weekly':
       normalized.weekly = {
         intervalWeeks: Number(recurrence.weekly?.intervalWeeks || 0),
-        dayOfWeek: Number(recurrence.weekly?.dayOfWeek ?? 0)
-      };
-      break;
-    case 'monthly':
-      normalized.monthly = {
-        intervalMonths: Number(recurrence.monthly?.intervalMonths || 0),
-        dayOfMonth: Number(recurrence.monthly?.dayOfMonth || 0)
+        daysOfWeek: [...new Set(weeklyDaysOf(recurrence.weekly).map(Number))].sort((a, b) => a - b)
       };
       break;
-    case 'quarterly':
-      normalized.quarterly = { useFirstDayOfQuarter: true };
+    case 'monthly': {
+      const pattern = recurrence.monthly?.pattern || 'dayOfMonth';
+      normalized.monthly = { intervalMonths: Number(recurrence.monthly?.intervalMonths || 0), pattern };
+      if (pattern === 'dayOfMonth') {
+        normalized.monthly.dayOfMonth = Number(recurrence.monthly?.dayOfMonth || 0);
+      } else if (pattern === 'nthWeekday') {
+        normalized.monthly.nth = Number(recurrence.monthly?.nth ?? 1);
+        normalized.monthly.weekday = Number(recurrence.monthly?.weekday ?? 0);
+      }
       break;
-    case 'yearly':
-      normalized.yearly = {
-        month: Number(recurrence.yearly?.month || 0),
-        day: Number(recurrence.yearly?.day || 0)
+    }
+    case 'quarterly': {
+      const pattern = recurrence.quarterly?.pattern || 'dayOfMonth';
+      normalized.quarterly = {
+        fiscalYearStartMonth: Number(recurrence.quarterly?.fiscalYearStartMonth || 1),
+        monthOfQuarter: Number(recurrence.quarterly?.monthOfQuarter || 1),
+        pattern
       };
+      if (pattern === 'dayOfMonth') {
+        normalized.quarterly.dayOfMonth = Number(recurrence.quarterly?.dayOfMonth ?? 1);
+      }
+      break;
+    }
+    case 'yearly': {
+      const pattern = recurrence.yearly?.pattern || 'dayOfMonth';
+      normalized.yearly = { month: Number(recurrence.yearly?.month || 0), pattern };
+      if (pattern === 'dayOfMonth') {
+        normalized.yearly.day = Number(recurrence.yearly?.day || 0);
+      }
       break;
+    }
     case 'custom':
       normalized.custom = {
         startDate: recurrence.custom?.startDate,
         intervalDays: Number(recurrence.custom?.intervalDays || 0)
       };
       break;
+    case 'afterCompletion':
+      normalized.afterCompletion = { intervalDays: Number(recurrence.afterCompletion?.intervalDays || 0) };
+      break;
+    case 'rrule':
+      normalized.rrule = { rule: rrule.normalize(recurrence.rrule?.rule) };
+      break;
     default:
       break;
   }
@@ -86,6 +143,21 @@ function normalizeRecurrence(recurrence) {
   return normalized;
 }
 
+function normalizeEnds(ends) {
+  switch (ends?.type) {
+    case 'afterOccurrences':
+      return { type: 'afterOccurrences', occurrences: Number(ends.occurrences) };
+    case 'onDate':
+      return { type: 'onDate', date: ends.date };
+    default:
+      return { type: 'never' };
+  }
+}
+
+function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
 // Validation helper for template payloads.
 function validateTemplatePayload(body) {
   const errors = [];
@@ -117,12 +189,64 @@ function validateTemplatePayload(body) {
   if (!body.recurrence || !body.recurrence.type) {
     errors.push('recurrence.type is required.');
   } else {
-    const validTypes = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+    const validTypes = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'custom', 'afterCompletion', 'rrule'];
     if (!validTypes.includes(body.recurrence.type)) {
       errors.push('recurrence.type is not supported.');
     }
   }
 
+  if (body.dueTime && !parseTimeOfDay(body.dueTime)) {
+    errors.push('dueTime must be formatted as HH:MM (24-hour).');
+  }
+
+  if (body.timeZone && !isValidTimeZone(body.timeZone)) {
+    errors.push('timeZone must be a valid IANA timezone such as America/New_York.');
+  }
+
+  if (body.activeFrom && !isDateString(body.activeFrom)) {
+    errors.push('activeFrom must be a date formatted as YYYY-MM-DD.');
+  }
+  const ends = body.ends || { type: 'never' };
+  if (!END_TYPES.includes(ends.type)) {
+    errors.push(`ends.type must be one of: ${END_TYPES.join(', ')}.`);
+  } else if (ends.type === 'afterOccurrences' && !(Number.isInteger(Number(ends.occurrences)) && Number(ends.occurrences) >= 1)) {
+    errors.push('Ending after a number of occurrences requires occurrences >= 1.');
+  } else if (ends.type === 'onDate') {
+    if (!isDateString(ends.date)) {
+      errors.push('Ending on a date requires a date formatted as YYYY-MM-DD.');
+    } else if ((body.activeFrom && ends.date < body.activeFrom) || (body.firstDueDate && ends.date < body.firstDueDate)) {
+      errors.push('The end date cannot be before the first due date or the active-from date.');
+    }
+  }
+
+  const businessDaySettings = body.businessDays || {};
+  if (businessDaySettings.policy && !BUSINESS_DAY_POLICIES.includes(businessDaySettings.policy)) {
+    errors.push(`businessDays.policy must be one of: ${BUSINESS_DAY_POLICIES.join(', ')}.`);
+  }
+
+  if (body.childTasks !== undefined && !Array.isArray(body.childTasks)) {
+    errors.push('childTasks must be a list.');
+  }
+  (Array.isArray(body.childTasks) ? body.childTasks : []).forEach((child, index) => {
+    const label = `Child task ${index + 1}`;
+    if (!child || !String(child.title || '').trim()) {
+      errors.push(`${label} requires a title.`);
+      return;
+    }
+    if (child.departmentId && !Number.isInteger(Number(child.departmentId))) {
+      errors.push(`${label} departmentId must be a valid integer.`);
+    }
+    if (child.assignee && child.assignee.id && !['staff', 'team'].includes(child.assignee.type)) {
+      errors.push(`${label} assignee.type must be either "staff" or "team".`);
+    }
+    const offset = Number(child.dueOffsetDays ?? 0);
+    if (!Number.isInteger(offset)) {
+      errors.push(`${label} dueOffsetDays must be an integer.`);
+    } else if (offset < -daysBefore) {
+      errors.push(`${label} cannot be due before the occurrence is created (offset ${offset} < -${daysBefore}).`);
+    }
+  });
+
   const recurrence = body.recurrence || {};
   switch (recurrence.type) {
     case 'daily':
@@ -134,28 +258,65 @@ function validateTemplatePayload(body) {
       if (!recurrence.weekly || Number(recurrence.weekly.intervalWeeks) < 1) {
         errors.push('Weekly recurrence requires intervalWeeks >= 1.');
       }
-      if (recurrence.weekly && (recurrence.weekly.dayOfWeek < 0 || recurrence.weekly.dayOfWeek > 6)) {
-        errors.push('Weekly recurrence dayOfWeek must be between 0 and 6.');
+      if (!weeklyDaysOf(recurrence.weekly).length) {
+        errors.push('Weekly recurrence needs at least one day of the week.');
+      } else if (weeklyDaysOf(recurrence.weekly).some((day) => day === null || !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+        errors.push('Weekly recurrence days of the week must be between 0 (Sunday) and 6 (Saturday).');
       }
       break;
-    case 'monthly':
-      if (!recurrence.monthly || Number(recurrence.monthly.intervalMonths) < 1) {
+    case 'monthly': {
+      const monthly = recurrence.monthly || {};
+      const pattern = monthly.pattern || 'dayOfMonth';
+      if (Number(monthly.intervalMonths) < 1) {
         errors.push('Monthly recurrence requires intervalMonths >= 1.');
       }
-      if (recurrence.monthly && (recurrence.monthly.dayOfMonth < 1 || recurrence.monthly.dayOfMonth > 31)) {
+      if (!MONTHLY_PATTERNS.includes(pattern)) {
+        errors.push(`Monthly recurrence pattern must be one of: ${MONTHLY_PATTERNS.join(', ')}.`);
+      } else if (pattern === 'dayOfMonth' && !(Number(monthly.dayOfMonth) >= 1 && Number(monthly.dayOfMonth) <= 31)) {
         errors.push('Monthly recurrence dayOfMonth must be between 1 and 31.');
+      } else if (pattern === 'nthWeekday') {
+        if (![1, 2, 3, 4, -1].includes(Number(monthly.nth))) {
+          errors.push('Monthly recurrence nth must be 1-4, or -1 for the last weekday of the month.');
+        }
+        if (!(Number(monthly.weekday) >= 0 && Number(monthly.weekday) <= 6)) {
+          errors.push('Monthly recurrence weekday must be between 0 (Sunday) and 6 (Saturday).');
+        }
       }
       break;
-    case 'quarterly':
+    }
+    case 'quarterly': {
+      // Older clients send only { useFirstDayOfQuarter: true }; the defaults
+      // below give the same schedule.
+      const quarterly = recurrence.quarterly || {};
+      const pattern = quarterly.pattern || 'dayOfMonth';
+      const fiscalYearStartMonth = Number(quarterly.fiscalYearStartMonth ?? 1);
+      const monthOfQuarter = Number(quarterly.monthOfQuarter ?? 1);
+      if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+        errors.push('Quarterly recurrence fiscalYearStartMonth must be between 1 and 12.');
+      }
+      if (![1, 2, 3].includes(monthOfQuarter)) {
+        errors.push('Quarterly recurrence monthOfQuarter must be 1, 2 or 3.');
+      }
+      if (!PERIOD_DAY_PATTERNS.includes(pattern)) {
+        errors.push(`Quarterly recurrence pattern must be one of: ${PERIOD_DAY_PATTERNS.join(', ')}.`);
+      } else if (pattern === 'dayOfMonth' && !(Number(quarterly.dayOfMonth ?? 1) >= 1 && Number(quarterly.dayOfMonth ?? 1) <= 31)) {
+        errors.push('Quarterly recurrence dayOfMonth must be between 1 and 31.');
+      }
       break;
-    case 'yearly':
-      if (!recurrence.yearly || Number(recurrence.yearly.month) < 1 || Number(recurrence.yearly.month) > 12) {
+    }
+    case 'yearly': {
+      const yearly = recurrence.yearly || {};
+      const pattern = yearly.pattern || 'dayOfMonth';
+      if (Number(yearly.month) < 1 || Number(yearly.month) > 12 || !yearly.month) {
         errors.push('Yearly recurrence month must be between 1 and 12.');
       }
-      if (!recurrence.yearly || Number(recurrence.yearly.day) < 1 || Number(recurrence.yearly.day) > 31) {
+      if (!PERIOD_DAY_PATTERNS.includes(pattern)) {
+        errors.push(`Yearly recurrence pattern must be one of: ${PERIOD_DAY_PATTERNS.join(', ')}.`);
+      } else if (pattern === 'dayOfMonth' && (Number(yearly.day) < 1 || Number(yearly.day) > 31 || !yearly.day)) {
         errors.push('Yearly recurrence day must be between 1 and 31.');
       }
       break;
+    }
     case 'custom':
       if (!recurrence.custom || !recurrence.custom.startDate) {
         errors.push('Custom recurrence requires a startDate.');
@@ -164,6 +325,20 @@ function validateTemplatePayload(body) {
         errors.push('Custom recurrence requires intervalDays >= 1.');
       }
       break;
+    case 'afterCompletion': {
+      const intervalDays = Number(recurrence.afterCompletion?.intervalDays);
+      if (!Number.isInteger(intervalDays) || intervalDays < 1) {
+        errors.push('Completion-based recurrence requires intervalDays >= 1.');
+      }
+      break;
+    }
+    case 'rrule':
+      try {
+        rrule.parse(recurrence.rrule?.rule);
+      } catch (err) {
+        errors.push(err.message);
+      }
+      break;
     default:
       break;
   }
@@ -171,13 +346,101 @@ function validateTemplatePayload(body) {
   return errors;
 }
 
+// Helper: map a validated request body to the stored template shape.
+function buildTemplatePayload(body) {
+  return {
+    title: body.title,
+    description: body.description || '',
+    clientId: body.clientId,
+    departmentId: Number(body.departmentId),
+    assignee: {
+      type: body.assignee.type,
+      id: Number(body.assignee.id)
+    },
+    firstDueDate: body.firstDueDate,
+    daysBeforeDueDateToCreate: Number(body.daysBeforeDueDateToCreate ?? 0),
+    dueTime: (body.dueTime || '').trim(),
+    timeZone: (body.timeZone || '').trim(),
+    recurrence: normalizeRecurrence(body.recurrence),
+    activeFrom: body.activeFrom || '',
+    ends: normalizeEnds(body.ends),
+    businessDays: {
+      policy: body.businessDays?.policy || 'keep',
+      calendarId: body.businessDays?.calendarId || '',
+      countLeadTimeInBusinessDays: Boolean(body.businessDays?.countLeadTimeInBusinessDays)
+    },
+    childTasks: (body.childTasks || []).map((child) => ({
+      title: String(child.title).trim(),
+      description: child.description || '',
+      departmentId: Number(child.departmentId) || null,
+      assignee: child.assignee && Number(child.assignee.id) ? { type: child.assignee.type, id: Number(child.assignee.id) } : null,
+      dueOffsetDays: Number(child.dueOffsetDays ?? 0)
+    }))
+  };
+}
+
 function isHexColor(value) {
   return /^#[0-9A-Fa-f]{6}$/.test(value || '');
 }
 
+// Reads the notification fields of the settings form. The SMTP password is
+// never rendered back, so a blank value keeps the saved one.
+function parseNotificationSettings(body, current) {
+  const errors = [];
+  const notifyOn = body.notifyOn === 'always' ? 'always' : 'failure';
+
+  const emailEnabled = body.emailEnabled === 'on';
+  const port = Number.parseInt(body.emailPort, 10);
+  const email = {
+    enabled: emailEnabled,
+    host: (body.emailHost || '').trim(),
+    port: Number.isNaN(port) ? body.emailPort : port,
+    secure: body.emailSecure === 'on',
+    user: (body.emailUser || '').trim(),
+    pass: body.emailPass ? body.emailPass : current.email.pass,
+    from: (body.emailFrom || '').trim(),
+    to: (body.emailTo || '').trim()
+  };
+  if (emailEnabled) {
+    if (!email.host) errors.push('SMTP host is required when email notifications are enabled.');
+    if (Number.isNaN(port) || port < 1 || port > 65535) errors.push('SMTP port must be between 1 and 65535.');
+    if (!email.from) errors.push('Email "from" address is required when email notifications are enabled.');
+    if (!email.to) errors.push('Email recipients are required when email notifications are enabled.');
+  }
+
+  const webhookEnabled = body.webhookEnabled === 'on';
+  const webhook = {
+    enabled: webhookEnabled,
+    url: (body.webhookUrl || '').trim()
+  };
+  if (webhookEnabled && !/^https?:\/\//i.test(webhook.url)) {
+    errors.push('Webhook URL must be a valid http(s) URL.');
+  }
+
+  return { notifications: { notifyOn, email, webhook }, errors };
+}
+
+// Settings page is rendered from several routes; always include scheduler status.
+async function renderSettings(res, { settings, errors = [], message = null, status = 200 }) {
+  const schedulerStatus = await scheduler.getStatus();
+  res.status(status).render('settings', {
+    title: 'Settings',
+    settings,
+    errors,
+    message,
+    schedulerStatus,
+    smtpPasswordFromEnv: settingsStore.smtpPasswordFromEnv()
+  });
+}
+
 // Page routes
 app.get('/', (req, res) => res.redirect('/templates'));
 
+app.get('/holidays', async (req, res) => {
+  const calendars = await holidayCalendarsStore.getAll();
+  res.render('holidays', { title: 'Holidays', calendars });
+});
+
 app.get('/calendar', async (req, res) => {
   const [clients, reference, settings] = await Promise.all([
     clientsStore.getAll(),
@@ -190,7 +453,12 @@ app.get('/calendar', async (req, res) => {
     clients,
     referenceData: reference.data,
     dbError: reference.error,
-    settings
+    // Only what the page uses; the rest includes the SMTP password.
+    settings: {
+      calendar: settings.calendar,
+      osticketBaseUrl: settings.osticketBaseUrl,
+      taskUrlPattern: settings.taskUrlPattern
+    }
   });
 });
 
@@ -199,9 +467,28 @@ app.get('/clients', async (req, res) => {
   res.render('clients', { title: 'Clients', clients });
 });
 
+app.get('/retry-queue', async (req, res) => {
+  const items = await retryQueueStore.getAll();
+  res.render('retry-queue', { title: 'Retry Queue', items, maxAttempts: retryQueueStore.MAX_ATTEMPTS });
+});
+
+app.get('/runs', async (req, res) => {
+  const [runs, settings] = await Promise.all([runsStore.getAll(), settingsStore.getSettings()]);
+  res.render('runs', { title: 'Runs', runs, timeZone: settings.calendar.timezone });
+});
+
+app.get('/runs/:id', async (req, res) => {
+  const run = await runsStore.getById(req.params.id);
+  if (!run) {
+    return res.status(404).send('Run not found');
+  }
+  const [tasks, settings] = await Promise.all([generatedTasksStore.getByRunId(run.id), settingsStore.getSettings()]);
+  res.render('run-detail', { title: 'Runs', run, tasks, timeZone: settings.calendar.timezone });
+});
+
 app.get('/settings', async (req, res) => {
   const settings = await settingsStore.getSettings();
-  res.render('settings', { title: 'Settings', settings, errors: [], message: null });
+  await renderSettings(res, { settings });
 });
 
 app.post('/settings', async (req, res) => {
@@ -224,8 +511,44 @@ app.post('/settings', async (req, res) => {
   const timezone = (req.body.timezone || current.calendar.timezone || '').trim();
   if (!timezone) {
     errors.push('Timezone is required.');
+  } else if (!isValidTimeZone(timezone)) {
+    errors.push('Timezone must be a valid IANA timezone such as America/New_York.');
   }
 
+  const schedulerEnabled = req.body.schedulerEnabled === 'on';
+  const schedulerTime = (req.body.schedulerTime || current.scheduler.time || '').trim();
+  if (!parseTimeOfDay(schedulerTime)) {
+    errors.push('Scheduler run time must be formatted as HH:MM (24-hour).');
+  }
+
+  const defaultDueTime = (req.body.defaultDueTime || current.taskDefaults.dueTime || '').trim();
+  if (!parseTimeOfDay(defaultDueTime)) {
+    errors.push('Default due time must be formatted as HH:MM (24-hour).');
+  }
+
+  const defaultTimeZone = (req.body.defaultTimeZone || current.taskDefaults.timeZone || '').trim();
+  if (!isValidTimeZone(defaultTimeZone)) {
+    errors.push('Default task timezone must be a valid IANA timezone such as America/New_York.');
+  }
+
+  const osticketIds = {};
+  [
+    ['taskFormId', 'Task form id'],
+    ['titleFieldId', 'Title field id'],
+    ['descriptionFieldId', 'Description field id'],
+    ['taskSequenceId', 'Task sequence id']
+  ].forEach(([key, label]) => {
+    const raw = req.body[`osticketIds_${key}`];
+    const parsed = Number.parseInt(raw ?? current.osticketIds[key], 10);
+    osticketIds[key] = Number.isNaN(parsed) ? raw : parsed;
+    if (Number.isNaN(parsed) || parsed < 1) {
+      errors.push(`${label} must be a positive integer.`);
+    }
+  });
+
+  const notificationResult = parseNotificationSettings(req.body, current.notifications);
+  errors.push(...notificationResult.errors);
+
   const parsedHorizon = Number.parseInt(req.body.horizonDays, 10);
   const horizonDays = Number.isNaN(parsedHorizon) ? current.calendar.horizonDays : parsedHorizon;
   if (Number.isNaN(parsedHorizon) || parsedHorizon < 0) {
@@ -258,6 +581,18 @@ app.post('/settings', async (req, res) => {
     ...current,
     osticketBaseUrl,
     taskUrlPattern,
+    scheduler: {
+      ...current.scheduler,
+      enabled: schedulerEnabled,
+      time: schedulerTime
+    },
+    taskDefaults: {
+      ...current.taskDefaults,
+      dueTime: defaultDueTime,
+      timeZone: defaultTimeZone
+    },
+    osticketIds,
+    notifications: notificationResult.notifications,
     calendar: {
       ...current.calendar,
       colors,
@@ -271,23 +606,20 @@ app.post('/settings', async (req, res) => {
   };
 
   if (errors.length) {
-    return res.status(400).render('settings', {
-      title: 'Settings',
-      settings: nextSettings,
-      errors,
-      message: null
-    });
+    return renderSettings(res, { settings: nextSettings, errors, status: 400 });
   }
 
   const saved = await settingsStore.saveSettings(nextSettings);
-  res.render('settings', { title: 'Settings', settings: saved, errors: [], message: 'Settings updated successfully.' });
+  await scheduler.reschedule();
+  await renderSettings(res, { settings: saved, message: 'Settings updated successfully.' });
 });
 
 app.get('/templates', async (req, res) => {
   const clientFilter = req.query.clientId || '';
-  const [clients, templates] = await Promise.all([
+  const [clients, templates, holidayCalendars] = await Promise.all([
     clientsStore.getAll(),
-    templatesStore.getAll()
+    templatesStore.getAll(),
+    holidayCalendarsStore.getAll()
   ]);
   const filteredTemplates = clientFilter
     ? templates.filter((t) => t.clientId === clientFilter)
@@ -299,21 +631,29 @@ app.get('/templates', async (req, res) => {
     clients,
     templates: filteredTemplates,
     clientFilter,
+    holidayCalendars,
     referenceData: reference.data,
     dbError: reference.error
   });
 });
 
 app.get('/templates/new', async (req, res) => {
-  const clients = await clientsStore.getAll();
-  const reference = await loadReferenceData();
+  const [clients, reference, settings, holidayCalendars] = await Promise.all([
+    clientsStore.getAll(),
+    loadReferenceData(),
+    settingsStore.getSettings(),
+    holidayCalendarsStore.getAll()
+  ]);
   res.render('template-form', {
     title: 'New Template',
     mode: 'create',
     template: null,
     clients,
     referenceData: reference.data,
-    dbError: reference.error
+    dbError: reference.error,
+    taskDefaults: settings.taskDefaults,
+    placeholders: placeholders.PLACEHOLDERS,
+    holidayCalendars
   });
 });
 
@@ -322,15 +662,22 @@ app.get('/templates/:id/edit', async (req, res) => {
   if (!template) {
     return res.status(404).send('Template not found');
   }
-  const clients = await clientsStore.getAll();
-  const reference = await loadReferenceData();
+  const [clients, reference, settings, holidayCalendars] = await Promise.all([
+    clientsStore.getAll(),
+    loadReferenceData(),
+    settingsStore.getSettings(),
+    holidayCalendarsStore.getAll()
+  ]);
   res.render('template-form', {
     title: 'Edit Template',
     mode: 'edit',
     template,
     clients,
     referenceData: reference.data,
-    dbError: reference.error
+    dbError: reference.error,
+    taskDefaults: settings.taskDefaults,
+    placeholders: placeholders.PLACEHOLDERS,
+    holidayCalendars
   });
 });
 
@@ -398,6 +745,15 @@ app.get('/api/teams', async (req, res) => {
   }
 });
 
+app.get('/api/osticket/task-form', async (req, res) => {
+  try {
+    const ids = await db.discoverTaskFormIds();
+    res.json(ids);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/staff', async (req, res) => {
   try {
     const staff = await db.getStaff();
@@ -447,6 +803,79 @@ app.delete('/api/clients/:id', async (req, res) => {
   res.json({ success: true });
 });
 
+// Holiday calendar API. Holidays are { date: 'YYYY-MM-DD', name }.
+function validateHolidays(holidays) {
+  if (holidays === undefined) return null;
+  if (!Array.isArray(holidays)) return 'holidays must be a list.';
+  const invalid = holidays.find((holiday) => !holiday || !isDateString(holiday.date));
+  return invalid ? `Holiday date "${invalid?.date ?? ''}" must be formatted as YYYY-MM-DD.` : null;
+}
+
+app.get('/api/holiday-calendars', async (req, res) => {
+  const calendars = await holidayCalendarsStore.getAll();
+  res.json(calendars);
+});
+
+app.post('/api/holiday-calendars', async (req, res) => {
+  const { name, holidays } = req.body;
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Name is required.' });
+  }
+  const holidaysError = validateHolidays(holidays);
+  if (holidaysError) {
+    return res.status(400).json({ error: holidaysError });
+  }
+  const calendar = await holidayCalendarsStore.create({ name, holidays });
+  res.status(201).json(calendar);
+});
+
+app.put('/api/holiday-calendars/:id', async (req, res) => {
+  const { name, holidays } = req.body;
+  if (name !== undefined && !name.trim()) {
+    return res.status(400).json({ error: 'Name cannot be empty.' });
+  }
+  const holidaysError = validateHolidays(holidays);
+  if (holidaysError) {
+    return res.status(400).json({ error: holidaysError });
+  }
+  const updated = await holidayCalendarsStore.update(req.params.id, { name, holidays });
+  if (!updated) {
+    return res.status(404).json({ error: 'Holiday calendar not found.' });
+  }
+  res.json(updated);
+});
+
+// Imports an .ics file sent as the raw request body (Content-Type
+// text/calendar); its holidays are merged into the calendar.
+app.post(
+  '/api/holiday-calendars/:id/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ error: 'Upload an iCalendar (.ics) file.' });
+    }
+    const { holidays, skipped } = parseIcsHolidays(req.body);
+    const updated = await holidayCalendarsStore.addHolidays(req.params.id, holidays);
+    if (!updated) {
+      return res.status(404).json({ error: 'Holiday calendar not found.' });
+    }
+    res.json({ calendar: updated, imported: holidays.length, skipped });
+  }
+);
+
+app.delete('/api/holiday-calendars/:id', async (req, res) => {
+  const templates = await templatesStore.getAll();
+  const inUse = templates.some((template) => template.businessDays?.calendarId === req.params.id);
+  if (inUse) {
+    return res.status(400).json({ error: 'Holiday calendar is used by existing templates and cannot be deleted.' });
+  }
+  const removed = await holidayCalendarsStore.remove(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Holiday calendar not found.' });
+  }
+  res.json({ success: true });
+});
+
 // Template CRUD API
 app.get('/api/templates', async (req, res) => {
   const { clientId } = req.query;
@@ -463,27 +892,48 @@ app.get('/api/templates/:id', async (req, res) => {
   res.json(template);
 });
 
+// Expands title/description placeholders for the template form preview, using
+// the first due date (or today) as the sample occurrence.
+app.post('/api/templates/preview', async (req, res) => {
+  const template = req.body || {};
+  const dueDate = /^\d{4}-\d{2}-\d{2}$/.test(template.firstDueDate || '')
+    ? template.firstDueDate
+    : new Date().toISOString().slice(0, 10);
+  const [client, reference] = await Promise.all([clientsStore.getById(template.clientId), loadReferenceData()]);
+  const names = {
+    staff: new Map(reference.data.staff.map((s) => [Number(s.id), s.displayName])),
+    teams: new Map(reference.data.teams.map((t) => [Number(t.id), t.name]))
+  };
+  const context = placeholders.buildContext({
+    dueDate,
+    clientName: client ? client.name : '',
+    assigneeName: placeholders.assigneeName(template, names),
+    fiscalStartMonth: placeholders.fiscalYearStartMonth(template)
+  });
+  res.json({
+    dueDate,
+    title: placeholders.render(template.title, context),
+    description: placeholders.render(template.description, context)
+  });
+});
+
+// Revision details for a template change. The app has no logins of its own:
+// changedBy is the user an authenticating proxy passes on (Remote-User,
+// X-Remote-User or X-Forwarded-User), or else the client's address.
+function revisionMeta(req, action) {
+  const user = req.get('Remote-User') || req.get('X-Remote-User') || req.get('X-Forwarded-User');
+  return { action, changedBy: user || (req.ip || '').replace(/^::ffff:/, '') || null };
+}
+
 app.post('/api/templates', async (req, res) => {
   const errors = validateTemplatePayload(req.body);
   if (errors.length) {
     return res.status(400).json({ errors });
   }
 
-  const payload = {
-    title: req.body.title,
-    description: req.body.description || '',
-    clientId: req.body.clientId,
-    departmentId: Number(req.body.departmentId),
-    assignee: {
-      type: req.body.assignee.type,
-      id: Number(req.body.assignee.id)
-    },
-    firstDueDate: req.body.firstDueDate,
-    daysBeforeDueDateToCreate: Number(req.body.daysBeforeDueDateToCreate ?? 0),
-    recurrence: normalizeRecurrence(req.body.recurrence)
-  };
+  const payload = buildTemplatePayload(req.body);
 
-  const created = await templatesStore.create(payload);
+  const created = await templatesStore.create(payload, revisionMeta(req, 'create'));
   res.status(201).json(created);
 });
 
@@ -493,27 +943,37 @@ app.put('/api/templates/:id', async (req, res) => {
     return res.status(400).json({ errors });
   }
 
-  const payload = {
-    title: req.body.title,
-    description: req.body.description || '',
-    clientId: req.body.clientId,
-    departmentId: Number(req.body.departmentId),
-    assignee: {
-      type: req.body.assignee.type,
-      id: Number(req.body.assignee.id)
-    },
-    firstDueDate: req.body.firstDueDate,
-    daysBeforeDueDateToCreate: Number(req.body.daysBeforeDueDateToCreate ?? 0),
-    recurrence: normalizeRecurrence(req.body.recurrence)
-  };
+  const payload = buildTemplatePayload(req.body);
 
-  const updated = await templatesStore.update(req.params.id, payload);
+  const updated = await templatesStore.update(req.params.id, payload, revisionMeta(req, 'update'));
   if (!updated) {
     return res.status(404).json({ error: 'Template not found.' });
   }
   res.json(updated);
 });
 
+// Revisions of a template, newest first.
+app.get('/api/templates/:id/revisions', async (req, res) => {
+  const template = await templatesStore.getById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  const revisions = await templateRevisionsStore.getByTemplateId(template.id);
+  res.json(revisions.reverse());
+});
+
+app.post('/api/templates/:id/revisions/:revisionId/restore', async (req, res) => {
+  const template = await templatesStore.getById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  const restored = await templatesStore.restore(template.id, req.params.revisionId, revisionMeta(req, 'restore'));
+  if (!restored) {
+    return res.status(404).json({ error: 'Revision not found.' });
+  }
+  res.json(restored);
+});
+
 app.delete('/api/templates/:id', async (req, res) => {
   const removed = await templatesStore.remove(req.params.id);
   if (!removed) {
@@ -522,6 +982,202 @@ app.delete('/api/templates/:id', async (req, res) => {
   res.json({ success: true });
 });
 
+// Longest range the occurrences API expands in one request.
+const MAX_OCCURRENCE_RANGE_DAYS = 1096;
+
+// Due and creation dates of a template's occurrences whose span from creation
+// to due date overlaps from..to (YYYY-MM-DD; defaults: today and 90 days on),
+// as computed by the recurrence engine for the job and the calendar. Paused
+// templates have none. Completion-based templates have at most the next one.
+app.get('/api/templates/:id/occurrences', async (req, res) => {
+  const template = await templatesStore.getById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  const { from, to } = req.query;
+  if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+    return res.status(400).json({ error: 'from and to must be formatted as YYYY-MM-DD.' });
+  }
+  const [settings, holidayCalendars] = await Promise.all([
+    settingsStore.getSettings(),
+    holidayCalendarsStore.getHolidaySets()
+  ]);
+  const start = from ? new Date(`${from}T00:00:00Z`) : calendarService.startOfDayInZone(new Date(), settings.calendar.timezone);
+  const end = to ? new Date(`${to}T00:00:00Z`) : new Date(start.getTime() + 90 * 24 * 60 * 60 * 1000);
+  const rangeDays = (end - start) / (24 * 60 * 60 * 1000);
+  if (rangeDays < 0 || rangeDays > MAX_OCCURRENCE_RANGE_DAYS) {
+    return res.status(400).json({ error: `to must be on or after from and at most ${MAX_OCCURRENCE_RANGE_DAYS} days later.` });
+  }
+
+  const timing = settingsStore.templateTiming(template, settings);
+  const completionBased = isCompletionBased(template);
+  let occurrences = [];
+  if (template.paused) {
+    // A paused template creates nothing until it is resumed.
+  } else if (completionBased) {
+    try {
+      const state = await loadCompletionState([template], await generatedTasksStore.getAll());
+      const completion = state.get(template.id);
+      const next = nextCompletionOccurrence(template, completion, timing.timeZone, holidayCalendars);
+      const status = next && occurrenceStatus(getWindow(template), next, completion?.count || 0);
+      if (next && status !== 'ended' && next.dueDate >= start && next.creationDate <= end) {
+        occurrences = [{ ...next, skipped: false, exception: null, originalDueDate: null }];
+      }
+    } catch (err) {
+      return res.status(502).json({ error: `Unable to load completion status: ${err.message}` });
+    }
+  } else {
+    try {
+      occurrences = recurrenceEngine.occurrencesBetween(template, start, end, { holidayCalendars });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  res.json({
+    templateId: template.id,
+    from: recurrenceEngine.formatDate(start),
+    to: recurrenceEngine.formatDate(end),
+    paused: Boolean(template.paused),
+    completionBased,
+    occurrences: occurrences.map((occurrence) => ({
+      scheduledDueDate: recurrenceEngine.formatDate(occurrence.scheduledDueDate || occurrence.dueDate),
+      dueDate: recurrenceEngine.formatDate(occurrence.dueDate),
+      creationDate: recurrenceEngine.formatDate(occurrence.creationDate),
+      dueAt: zonedDateAtTime(occurrence.dueDate, timing.dueTime, timing.timeZone).toISOString(),
+      skipped: occurrence.skipped,
+      moved: Boolean(occurrence.originalDueDate && occurrence.originalDueDate !== recurrenceEngine.formatDate(occurrence.dueDate)),
+      assignee: occurrence.exception?.assignee || template.assignee
+    }))
+  });
+});
+
+// True when dueDate (YYYY-MM-DD) is one of the template's scheduled
+// occurrences (before business-day moves and exceptions).
+function isScheduledOccurrence(template, dueDate, holidayCalendars) {
+  try {
+    return recurrenceEngine.isScheduledDueDate(template, dueDate, { holidayCalendars });
+  } catch (err) {
+    return false;
+  }
+}
+
+// Per-occurrence exceptions, keyed by the occurrence's scheduled due date.
+// A body with no skip, newDueDate or assignee clears the exception.
+app.put('/api/templates/:id/exceptions/:dueDate', async (req, res) => {
+  const template = await templatesStore.getById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  const { dueDate } = req.params;
+  const skip = Boolean(req.body.skip);
+  const newDueDate = skip ? '' : (req.body.newDueDate || '').trim();
+  const assignee = !skip && req.body.assignee && req.body.assignee.id
+    ? { type: req.body.assignee.type, id: Number(req.body.assignee.id) }
+    : null;
+
+  const holidayCalendars = await holidayCalendarsStore.getHolidaySets();
+  const errors = [];
+  if (isCompletionBased(template)) {
+    errors.push('Completion-based templates do not support occurrence exceptions.');
+  } else if (!isDateString(dueDate) || !isScheduledOccurrence(template, dueDate, holidayCalendars)) {
+    errors.push(`${dueDate} is not a scheduled occurrence of this template.`);
+  }
+  if (newDueDate && !isDateString(newDueDate)) {
+    errors.push('newDueDate must be a date formatted as YYYY-MM-DD.');
+  }
+  if (assignee && (!['staff', 'team'].includes(assignee.type) || !Number.isInteger(assignee.id))) {
+    errors.push('assignee must have a type of "staff" or "team" and a numeric id.');
+  }
+  if (errors.length) {
+    return res.status(400).json({ errors });
+  }
+
+  const exception = skip || newDueDate || assignee
+    ? { skip, newDueDate, assignee, updatedAt: new Date().toISOString() }
+    : null;
+  const updated = await templatesStore.setException(template.id, dueDate, exception, revisionMeta(req, 'exception'));
+  if (!updated) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  res.json(updated);
+});
+
+app.delete('/api/templates/:id/exceptions/:dueDate', async (req, res) => {
+  const updated = await templatesStore.setException(req.params.id, req.params.dueDate, null, revisionMeta(req, 'exception'));
+  if (!updated) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  res.json(updated);
+});
+
+app.post('/api/templates/:id/pause', async (req, res) => {
+  const updated = await templatesStore.update(req.params.id, { paused: true }, revisionMeta(req, 'pause'));
+  if (!updated) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  res.json(updated);
+});
+
+app.post('/api/templates/:id/resume', async (req, res) => {
+  const updated = await templatesStore.update(req.params.id, { paused: false }, revisionMeta(req, 'resume'));
+  if (!updated) {
+    return res.status(404).json({ error: 'Template not found.' });
+  }
+  res.json(updated);
+});
+
+// Retry queue API for failed task creations
+app.get('/api/retry-queue', async (req, res) => {
+  const items = await retryQueueStore.getAll();
+  res.json(items);
+});
+
+app.post('/api/retry-queue/:id/retry', async (req, res) => {
+  const item = await retryQueueStore.requeue(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Retry item not found.' });
+  }
+  res.json(item);
+});
+
+app.delete('/api/retry-queue/:id', async (req, res) => {
+  const removed = await retryQueueStore.remove(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Retry item not found.' });
+  }
+  res.json({ success: true });
+});
+
+// Sends a test notification using the values currently in the settings form
+app.post('/api/notifications/test', async (req, res) => {
+  const current = await settingsStore.getSettings();
+  const { notifications, errors } = parseNotificationSettings(req.body, current.notifications);
+  if (errors.length) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  if (!notifications.email.enabled && !notifications.webhook.enabled) {
+    return res.status(400).json({ error: 'Enable email or webhook notifications first.' });
+  }
+  const results = await notifier.sendTestNotification(notifications);
+  res.json({ results });
+});
+
+// Template job run history
+app.get('/api/runs', async (req, res) => {
+  const runs = await runsStore.getAll();
+  res.json(runs);
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+  const run = await runsStore.getById(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  const tasks = await generatedTasksStore.getByRunId(run.id);
+  res.json({ ...run, tasks });
+});
+
 app.use((err, req, res, next) => {
   console.error('Unexpected error:', err);
   res.status(500).json({ error: 'Unexpected server error.' });
@@ -529,4 +1185,5 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`osTicket Task Creator listening on http://localhost:${PORT}`);
+  scheduler.start();
 });
@@ -0,0 +1,95 @@
+/**
+ * Business-day rules for templates (template.businessDays):
+ *   { policy: 'keep' | 'previous' | 'next', calendarId, countLeadTimeInBusinessDays }
+ * Saturdays, Sundays and the holidays of the chosen holiday calendar are
+ * non-business days. With 'previous' or 'next', a due date on a non-business
+ * day moves to the nearest business day in that direction, and so does the
+ * creation date (never past the due date). With countLeadTimeInBusinessDays,
+ * daysBeforeDueDateToCreate counts business days back from the due date.
+ *
+ * Used by the recurrence engine and completion-based recurrence. Dates are
+ * date-only UTC midnights.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/businessDays.js, where it sets window.businessDays.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.businessDays = factory();
+  }
+}(this, function () {
+  const POLICIES = ['keep', 'previous', 'next'];
+  // Gives up looking for a business day after this many days, so a calendar
+  // that marks every day as a holiday cannot loop forever.
+  const MAX_SEARCH_DAYS = 366;
+
+  function addDays(date, days) {
+    const copy = new Date(date.valueOf());
+    copy.setUTCDate(copy.getUTCDate() + days);
+    return copy;
+  }
+
+  /**
+   * The template's rules with its holiday dates resolved. holidayCalendars is a
+   * Map of holiday calendar id -> Set of YYYY-MM-DD dates, as returned by
+   * holidayCalendarsStore.getHolidaySets().
+   */
+  function rulesFor(template, holidayCalendars = new Map()) {
+    const settings = template.businessDays || {};
+    return {
+      policy: POLICIES.includes(settings.policy) ? settings.policy : 'keep',
+      countLeadTimeInBusinessDays: Boolean(settings.countLeadTimeInBusinessDays),
+      holidays: holidayCalendars.get(settings.calendarId) || new Set()
+    };
+  }
+
+  function isBusinessDay(date, holidays) {
+    const weekday = date.getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !holidays.has(date.toISOString().slice(0, 10));
+  }
+
+  function moveToBusinessDay(date, direction, holidays) {
+    let current = date;
+    for (let i = 0; i < MAX_SEARCH_DAYS && !isBusinessDay(current, holidays); i += 1) {
+      current = addDays(current, direction);
+    }
+    return current;
+  }
+
+  function adjust(date, rules) {
+    if (rules.policy === 'keep') return date;
+    return moveToBusinessDay(date, rules.policy === 'previous' ? -1 : 1, rules.holidays);
+  }
+
+  /** Creation date for a due date, applying the lead time and policy. */
+  function creationDateFor(rules, dueDate, daysBefore) {
+    if (rules.countLeadTimeInBusinessDays) {
+      let current = dueDate;
+      for (let remaining = daysBefore; remaining > 0; remaining -= 1) {
+        current = moveToBusinessDay(addDays(current, -1), -1, rules.holidays);
+      }
+      return current;
+    }
+    const creation = adjust(addDays(dueDate, -daysBefore), rules);
+    return creation > dueDate ? dueDate : creation;
+  }
+
+  /**
+   * The dates an occurrence scheduled for scheduledDueDate is actually due and
+   * created on. scheduledDueDate is kept so exceptions can be keyed by it.
+   */
+  function scheduleOccurrence(rules, scheduledDueDate, daysBefore) {
+    const dueDate = adjust(scheduledDueDate, rules);
+    return { dueDate, creationDate: creationDateFor(rules, dueDate, daysBefore), scheduledDueDate };
+  }
+
+  return {
+    POLICIES,
+    rulesFor,
+    isBusinessDay,
+    creationDateFor,
+    scheduleOccurrence
+  };
+}));
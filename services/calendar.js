@@ -1,6 +1,13 @@
 const templatesStore = require('../data/templatesStore');
 const settingsStore = require('../data/settingsStore');
+const generatedTasksStore = require('../data/generatedTasksStore');
 const db = require('../db/db');
+const completionRecurrence = require('./completionRecurrence');
+const scheduleWindow = require('./scheduleWindow');
+const occurrenceExceptions = require('./occurrenceExceptions');
+const recurrenceEngine = require('./recurrenceEngine');
+const holidayCalendarsStore = require('../data/holidayCalendarsStore');
+const { zonedDateAtTime } = require('./timezone');
 
 function toDateOnly(dateInput) {
   if (!dateInput) return null;
@@ -37,46 +44,6 @@ function startOfDayInZone(date, timeZone) {
   return new Date(Date.UTC(year, month, day));
 }
 
-function nextDueDate(prevDueDate, recurrence) {
-  const base = toDateOnly(prevDueDate);
-  switch (recurrence?.type) {
-    case 'daily': {
-      const interval = Math.max(1, Number(recurrence.daily?.intervalDays || 1));
-      return addDays(base, interval);
-    }
-    case 'weekly': {
-      const intervalWeeks = Math.max(1, Number(recurrence.weekly?.intervalWeeks || 1));
-      return addDays(base, intervalWeeks * 7);
-    }
-    case 'monthly': {
-      const intervalMonths = Math.max(1, Number(recurrence.monthly?.intervalMonths || 1));
-      const dayOfMonth = Number(recurrence.monthly?.dayOfMonth || base.getUTCDate());
-      const year = base.getUTCFullYear();
-      const month = base.getUTCMonth() + intervalMonths;
-      return new Date(Date.UTC(year, month, dayOfMonth));
-    }
-    case 'quarterly': {
-      const month = base.getUTCMonth();
-      const nextQuarterStartMonth = month < 3 ? 3 : month < 6 ? 6 : month < 9 ? 9 : 12;
-      const year = base.getUTCFullYear() + (nextQuarterStartMonth === 12 ? 1 : 0);
-      const normalizedMonth = nextQuarterStartMonth === 12 ? 0 : nextQuarterStartMonth;
-      return new Date(Date.UTC(year, normalizedMonth, 1));
-    }
-    case 'yearly': {
-      const year = base.getUTCFullYear() + 1;
-      const month = (Number(recurrence.yearly?.month || base.getUTCMonth() + 1) - 1);
-      const day = Number(recurrence.yearly?.day || base.getUTCDate());
-      return new Date(Date.UTC(year, month, day));
-    }
-    case 'custom': {
-      const interval = Math.max(1, Number(recurrence.custom?.intervalDays || 1));
-      return addDays(base, interval);
-    }
-    default:
-      return null;
-  }
-}
-
 function buildTaskUrl(taskId, settings) {
   const baseUrl = (settings.osticketBaseUrl || '').replace(/\/$/, '');
   const pattern = (settings.taskUrlPattern || '/scp/tasks.php?id={taskId}').replace('{taskId}', taskId);
@@ -112,8 +79,9 @@ function assigneeMatchesFilters(assignee, filterType, filterId) {
 }
 
 async function generateTemplateEvents({ start, end, layers, clientId, assigneeType, assigneeId, settings }) {
-  const [templates, reference] = await Promise.all([
+  const [templates, holidayCalendars, reference] = await Promise.all([
     templatesStore.getAll(),
+    holidayCalendarsStore.getHolidaySets(),
     (async () => {
       try {
         const [departments, teams, staff] = await Promise.all([
@@ -129,6 +97,15 @@ async function generateTemplateEvents({ start, end, layers, clientId, assigneeTy
     })()
   ]);
 
+  let completionState = null;
+  if (templates.some(completionRecurrence.isCompletionBased)) {
+    try {
+      completionState = await completionRecurrence.loadCompletionState(templates, await generatedTasksStore.getAll());
+    } catch (err) {
+      console.warn('Unable to load completion status for calendar:', err.message);
+    }
+  }
+
   const staffLookup = new Map(reference.staff.map((s) => [Number(s.id), s]));
   const teamLookup = new Map(reference.teams.map((t) => [Number(t.id), t]));
   const today = startOfDayInZone(new Date(), settings.calendar.timezone) || new Date();
@@ -136,71 +113,113 @@ async function generateTemplateEvents({ start, end, layers, clientId, assigneeTy
   const colorDue = settings.calendar.colors.futureDue;
 
   const events = [];
-  const maxIterations = 1000;
 
   templates.forEach((template) => {
     if (!shouldIncludeClient(template.clientId, clientId)) return;
-    const assignee = templateAssignee(template, staffLookup, teamLookup);
-    if (!assigneeMatchesFilters(assignee, assigneeType, assigneeId)) return;
-
-    const firstDueDate = toDateOnly(template.firstDueDate);
-    if (!firstDueDate) return;
-
-    let dueDate = startOfDayInZone(firstDueDate, settings.calendar.timezone);
-    let iterations = 0;
+    if (occurrenceExceptions.isPaused(template)) return;
+    const templateAssigneeInfo = templateAssignee(template, staffLookup, teamLookup);
 
+    const timing = settingsStore.templateTiming(template, settings);
     const minStart = start > today ? start : today;
+    const completionBased = completionRecurrence.isCompletionBased(template);
 
-    while (dueDate && dueDate < minStart && iterations < maxIterations) {
-      dueDate = nextDueDate(dueDate, template.recurrence);
-      iterations += 1;
-    }
+    // occurrence is as returned by recurrenceEngine.occurrencesBetween. Skipped
+    // occurrences are shown muted and struck through so they can still be
+    // restored from the calendar popup.
+    const addOccurrenceEvents = (occurrence) => {
+      const { dueDate, creationDate, skipped, exception } = occurrence;
+      const scheduledDueDateStr = formatDate(occurrence.scheduledDueDate);
+      const assignee = exception?.assignee
+        ? templateAssignee({ assignee: exception.assignee }, staffLookup, teamLookup)
+        : templateAssigneeInfo;
+      if (!assigneeMatchesFilters(assignee, assigneeType, assigneeId)) return;
 
-    while (dueDate && dueDate <= end && iterations < maxIterations) {
-      const creationDate = addDays(dueDate, -Number(template.daysBeforeDueDateToCreate || 0));
       const dueDateStr = formatDate(dueDate);
       const creationDateStr = formatDate(creationDate);
+      // Same rule as the template job: due time in the template's timezone,
+      // shown on the matching day in the calendar's timezone.
+      const dueAt = zonedDateAtTime(dueDate, timing.dueTime, timing.timeZone);
+      const dueDay = startOfDayInZone(dueAt, settings.calendar.timezone);
+      const suffix = skipped ? ' (Skipped)' : occurrence.originalDueDate && occurrence.originalDueDate !== dueDateStr ? ' (Moved)' : '';
+      const occurrenceProps = {
+        templateId: template.id,
+        templateTitle: template.title,
+        clientId: template.clientId,
+        assignee,
+        occurrenceDueDate: scheduledDueDateStr,
+        actualDueDate: dueDateStr,
+        exception,
+        completionBased,
+        url: `/templates/${template.id}/edit`
+      };
+      const mutedColor = '#adb5bd';
 
-      if (layers.futureDue && dueDate >= today) {
+      if (layers.futureDue && dueDay >= today && dueDate <= end) {
         events.push({
           id: `tmplDue-${template.id}-${dueDateStr}`,
-          title: `${template.title} (Due)`,
-          start: dueDateStr,
+          title: `${template.title} (Due)${suffix}`,
+          start: formatDate(dueDay),
           allDay: true,
-          backgroundColor: colorDue,
-          borderColor: colorDue,
+          backgroundColor: skipped ? mutedColor : colorDue,
+          borderColor: skipped ? mutedColor : colorDue,
+          classNames: skipped ? ['text-decoration-line-through'] : [],
           extendedProps: {
+            ...occurrenceProps,
             layer: 'futureDue',
-            templateId: template.id,
-            clientId: template.clientId,
-            assignee,
-            url: `/templates/${template.id}/edit`
+            dueAt: dueAt.toISOString(),
+            timeZone: timing.timeZone
           }
         });
       }
 
-      if (layers.futureCreation && creationDate >= today && creationDate <= end) {
+      if (layers.futureCreation && !skipped && creationDate >= today && creationDate <= end) {
         events.push({
           id: `tmplCreate-${template.id}-${creationDateStr}`,
-          title: `${template.title} (Create)`,
+          title: `${template.title} (Create)${suffix}`,
           start: creationDateStr,
           allDay: true,
           backgroundColor: colorCreation,
           borderColor: colorCreation,
           extendedProps: {
-            layer: 'futureCreation',
-            templateId: template.id,
-            clientId: template.clientId,
-            assignee,
-            url: `/templates/${template.id}/edit`
+            ...occurrenceProps,
+            layer: 'futureCreation'
           }
         });
       }
+    };
+
+    // Completion-based templates have at most one known next occurrence: the
+    // one after the last generated task was closed.
+    if (completionBased) {
+      if (!completionState) return;
+      const next = completionRecurrence.nextCompletionOccurrence(
+        template,
+        completionState.get(template.id),
+        timing.timeZone,
+        holidayCalendars
+      );
+      const completion = completionState.get(template.id);
+      const activeWindow = scheduleWindow.getWindow(template);
+      if (
+        next &&
+        next.dueDate >= minStart &&
+        next.dueDate <= end &&
+        scheduleWindow.occurrenceStatus(activeWindow, next, completion?.count || 0) !== 'ended'
+      ) {
+        addOccurrenceEvents({ ...next, skipped: false, exception: null, originalDueDate: null });
+      }
+      return;
+    }
 
-      dueDate = nextDueDate(dueDate, template.recurrence);
-      iterations += 1;
-      if (!dueDate) break;
+    let projected;
+    try {
+      // A day early: the due time can put a due date on the next calendar day.
+      projected = recurrenceEngine.occurrencesBetween(template, addDays(minStart, -1), end, { holidayCalendars });
+    } catch (err) {
+      console.warn(`Skipping template ${template.id} in calendar: ${err.message}`);
+      return;
     }
+    projected.forEach(addOccurrenceEvents);
   });
 
   return events;
@@ -220,7 +239,7 @@ async function generateTaskEvents({ layers, clientId, assigneeType, assigneeId,
         return true;
       })
       .map((task) => {
-        const dueDateOnly = toDateOnly(task.dueDate);
+        const dueDateOnly = task.dueDate ? startOfDayInZone(new Date(task.dueDate), settings.calendar.timezone) : null;
         if (!dueDateOnly) return null;
         const dueDateStr = formatDate(dueDateOnly);
         const color = task.isClosed ? settings.calendar.colors.closedTaskDue : settings.calendar.colors.openTaskDue;
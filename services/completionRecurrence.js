@@ -0,0 +1,92 @@
+/**
+ * Completion-based recurrence (recurrence.type 'afterCompletion'): the next
+ * task is due afterCompletion.intervalDays after the previous generated task
+ * was closed in osTicket, and nothing is scheduled while that task is still
+ * open. The first occurrence is due on the template's firstDueDate.
+ *
+ * Shared by the template job and the calendar projection.
+ */
+const db = require('../db/db');
+const scheduleWindow = require('./scheduleWindow');
+const businessDays = require('./businessDays');
+const { getZonedParts } = require('./timezone');
+
+const TYPE = 'afterCompletion';
+
+function isCompletionBased(template) {
+  return template.recurrence?.type === TYPE;
+}
+
+function addDays(date, days) {
+  const copy = new Date(date.valueOf());
+  copy.setUTCDate(copy.getUTCDate() + days);
+  return copy;
+}
+
+function dateInZone(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+}
+
+/**
+ * Looks up, for each completion-based template, its latest generated task in
+ * the audit trail and when osTicket closed it. Returns a Map of
+ * templateId -> { last, closedAt, count } where last is the audit entry (or
+ * null), closedAt a Date (or null while open / not found) and count the
+ * number of tasks generated so far.
+ */
+async function loadCompletionState(templates, auditEntries) {
+  const state = new Map();
+  templates.filter(isCompletionBased).forEach((template) => {
+    const entries = auditEntries.filter((entry) => entry.templateId === template.id && entry.taskId);
+    const last = entries.reduce((latest, entry) => (!latest || entry.dueDate > latest.dueDate ? entry : latest), null);
+    state.set(template.id, { last, closedAt: null, count: entries.length });
+  });
+
+  const taskIds = [...state.values()].filter((item) => item.last).map((item) => Number(item.last.taskId));
+  if (taskIds.length) {
+    const closedTimes = await db.getTaskClosedTimes(taskIds);
+    state.forEach((item) => {
+      if (item.last) item.closedAt = closedTimes.get(Number(item.last.taskId)) || null;
+    });
+  }
+  return state;
+}
+
+/**
+ * Returns the next occurrence { dueDate, creationDate, first } for a
+ * completion-based template, or null while the previous task is open. Dates
+ * are date-only UTC midnights; the closing day is taken in timeZone. The
+ * creation date never falls before the day the previous task was closed or
+ * the template's activeFrom date. Business-day rules apply to the due date
+ * and lead time (holidayCalendars as in businessDays.rulesFor).
+ */
+function nextCompletionOccurrence(template, completion, timeZone, holidayCalendars = new Map()) {
+  const daysBefore = Math.max(0, Number(template.daysBeforeDueDateToCreate || 0));
+  const rules = businessDays.rulesFor(template, holidayCalendars);
+  const { activeFrom } = scheduleWindow.getWindow(template);
+  const notBeforeActive = (date) => (activeFrom && date < activeFrom ? activeFrom : date);
+  if (!completion || !completion.last) {
+    const first = new Date(`${template.firstDueDate}T00:00:00Z`);
+    if (Number.isNaN(first.getTime())) return null;
+    const { dueDate, creationDate } = businessDays.scheduleOccurrence(rules, first, daysBefore);
+    return { dueDate, creationDate: notBeforeActive(creationDate), first: true };
+  }
+  if (!completion.closedAt) return null;
+
+  const closedDay = dateInZone(completion.closedAt, timeZone);
+  const intervalDays = Math.max(0, Number(template.recurrence.afterCompletion?.intervalDays || 0));
+  const { dueDate: due, creationDate: creation } = businessDays.scheduleOccurrence(rules, addDays(closedDay, intervalDays), daysBefore);
+  return {
+    dueDate: due,
+    creationDate: notBeforeActive(creation < closedDay ? closedDay : creation),
+    first: false
+  };
+}
+
+module.exports = {
+  TYPE,
+  isCompletionBased,
+  loadCompletionState,
+  nextCompletionOccurrence
+};
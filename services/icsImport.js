@@ -0,0 +1,109 @@
+/**
+ * Reads holidays from an iCalendar (.ics) file such as the public-holiday
+ * feeds published by Google or Outlook. Every VEVENT becomes one holiday per
+ * day it covers, named after its SUMMARY. Yearly or other repeating events
+ * (RRULE) are expanded up to options.until, skipping EXDATE days.
+ */
+const rrule = require('./rrule');
+
+// Longest all-day event (in days) that is expanded into individual holidays.
+const MAX_EVENT_DAYS = 31;
+
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// "YYYYMMDD" or "YYYYMMDDTHHMMSS[Z]" -> date-only UTC Date (or null).
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec((value || '').trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseEvents(lines) {
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { exdates: [] };
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1);
+    if (name === 'DTSTART') current.start = parseDateValue(value);
+    if (name === 'DTEND') current.end = parseDateValue(value);
+    if (name === 'SUMMARY') current.summary = unescapeText(value);
+    if (name === 'RRULE') current.rrule = value.trim();
+    if (name === 'EXDATE') {
+      value.split(',').map(parseDateValue).filter(Boolean).forEach((date) => current.exdates.push(formatDate(date)));
+    }
+  });
+  return events;
+}
+
+/**
+ * Returns { holidays: [{ date, name }], skipped } where skipped counts events
+ * without a usable start date or with an unsupported RRULE.
+ */
+function parseIcsHolidays(text, options = {}) {
+  const until = options.until || new Date(Date.UTC(new Date().getUTCFullYear() + 5, 11, 31));
+  const holidays = [];
+  let skipped = 0;
+
+  parseEvents(unfoldLines(text)).forEach((event) => {
+    if (!event.start) {
+      skipped += 1;
+      return;
+    }
+    const lengthDays = event.end ? Math.round((event.end - event.start) / (24 * 60 * 60 * 1000)) : 1;
+    const days = Math.min(MAX_EVENT_DAYS, Math.max(1, lengthDays));
+    let starts = [event.start];
+    if (event.rrule) {
+      try {
+        starts = [];
+        for (const start of rrule.iterate(rrule.parse(event.rrule), event.start)) {
+          if (start > until) break;
+          starts.push(start);
+        }
+      } catch (err) {
+        skipped += 1;
+        return;
+      }
+    }
+    const name = event.summary || 'Holiday';
+    starts.forEach((start) => {
+      if (event.exdates.includes(formatDate(start))) return;
+      for (let i = 0; i < days; i += 1) {
+        const date = new Date(start.valueOf());
+        date.setUTCDate(date.getUTCDate() + i);
+        holidays.push({ date: formatDate(date), name });
+      }
+    });
+  });
+
+  return { holidays, skipped };
+}
+
+module.exports = {
+  parseIcsHolidays
+};
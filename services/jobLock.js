@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_PATH = path.join(__dirname, '..', 'data', 'template-job.lock');
+// A generation run never takes this long; older locks are left over from a crash.
+const STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+function readLock() {
+  try {
+    return JSON.parse(fs.readFileSync(LOCK_PATH, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function isStale(lock) {
+  if (!lock || !lock.startedAt) return true;
+  if (Date.now() - Date.parse(lock.startedAt) > STALE_AFTER_MS) return true;
+  // The owning process can only be checked when it runs on this host.
+  return lock.host === os.hostname() && !isProcessAlive(lock.pid);
+}
+
+/**
+ * Takes the template job lock, shared by the cron script and the in-process
+ * scheduler so only one of them generates tasks at a time. Returns a release
+ * function, or throws an error with code ELOCKED when another run holds it.
+ */
+function acquire(owner) {
+  const lock = { pid: process.pid, host: os.hostname(), owner, startedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(LOCK_PATH), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      fs.writeFileSync(LOCK_PATH, JSON.stringify(lock), { encoding: 'utf8', flag: 'wx' });
+      return () => {
+        const current = readLock();
+        if (current && current.pid === lock.pid && current.host === lock.host && current.startedAt === lock.startedAt) {
+          fs.rmSync(LOCK_PATH, { force: true });
+        }
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const existing = readLock();
+      if (attempt === 0 && isStale(existing)) {
+        console.warn('Removing stale template job lock:', existing ? JSON.stringify(existing) : 'unreadable');
+        fs.rmSync(LOCK_PATH, { force: true });
+        continue;
+      }
+      const error = new Error(
+        `Template job is already running (${existing?.owner || 'unknown'} on ${existing?.host || 'unknown host'}, pid ${existing?.pid ?? '?'}, since ${existing?.startedAt || '?'}).`
+      );
+      error.code = 'ELOCKED';
+      throw error;
+    }
+  }
+  throw new Error('Unable to acquire template job lock.');
+}
+
+module.exports = {
+  acquire,
+  LOCK_PATH
+};
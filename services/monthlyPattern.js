@@ -0,0 +1,88 @@
+/**
+ * Day-of-month patterns for monthly recurrences (recurrence.monthly.pattern):
+ *  - 'dayOfMonth' (default): dayOfMonth, clamped to the month's last day so
+ *    day 31 means the 30th/28th in shorter months instead of rolling over.
+ *  - 'nthWeekday': the nth (1-4, or -1 for last) weekday (0 = Sunday).
+ *  - 'lastDay': the last day of the month.
+ *  - 'lastBusinessDay': the last Monday-Friday of the month that is not one
+ *    of the given holidays (the template's holiday calendar).
+ *
+ * Dates are date-only UTC midnights; month is 0-based like Date.UTC.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/monthlyPattern.js, where it sets window.monthlyPattern.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.monthlyPattern = factory();
+  }
+}(this, function () {
+  const PATTERNS = ['dayOfMonth', 'nthWeekday', 'lastDay', 'lastBusinessDay'];
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  }
+
+  // Date.UTC(year, month, day) without overflowing into the next month.
+  function clampedDate(year, month, day) {
+    const normalized = new Date(Date.UTC(year, month, 1));
+    const y = normalized.getUTCFullYear();
+    const m = normalized.getUTCMonth();
+    return new Date(Date.UTC(y, m, Math.min(Math.max(1, day), daysInMonth(y, m))));
+  }
+
+  function nthWeekdayOfMonth(year, month, weekday, nth) {
+    if (nth === -1) {
+      const last = new Date(Date.UTC(year, month + 1, 0));
+      const back = (last.getUTCDay() - weekday + 7) % 7;
+      return new Date(Date.UTC(year, month + 1, -back));
+    }
+    const first = new Date(Date.UTC(year, month, 1));
+    const forward = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month, 1 + forward + (nth - 1) * 7));
+  }
+
+  const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+  // holidays is a Set of YYYY-MM-DD dates. A month without any business day
+  // falls back to its last weekday.
+  function lastBusinessDayOfMonth(year, month, holidays = new Set()) {
+    let weekday = null;
+    for (let day = daysInMonth(year, month); day >= 1; day -= 1) {
+      const date = new Date(Date.UTC(year, month, day));
+      if (isWeekend(date)) continue;
+      if (!holidays.has(date.toISOString().slice(0, 10))) return date;
+      if (!weekday) weekday = date;
+    }
+    return weekday;
+  }
+
+  /**
+   * The due date in the given month for a monthly recurrence. fallbackDay is
+   * used when a 'dayOfMonth' pattern has no dayOfMonth (the previous due day);
+   * holidays (a Set of YYYY-MM-DD dates) only matter for 'lastBusinessDay'.
+   */
+  function dateInMonth(year, month, monthly = {}, fallbackDay = 1, holidays = new Set()) {
+    const normalized = new Date(Date.UTC(year, month, 1));
+    const y = normalized.getUTCFullYear();
+    const m = normalized.getUTCMonth();
+    switch (monthly.pattern || 'dayOfMonth') {
+      case 'nthWeekday':
+        return nthWeekdayOfMonth(y, m, Number(monthly.weekday ?? 0), Number(monthly.nth ?? 1));
+      case 'lastDay':
+        return new Date(Date.UTC(y, m + 1, 0));
+      case 'lastBusinessDay':
+        return lastBusinessDayOfMonth(y, m, holidays);
+      default:
+        return clampedDate(y, m, Number(monthly.dayOfMonth || fallbackDay));
+    }
+  }
+
+  return {
+    PATTERNS,
+    clampedDate,
+    dateInMonth
+  };
+}));
@@ -0,0 +1,137 @@
+/**
+ * Job notifications over SMTP email and an outbound JSON webhook, configured
+ * in settings.notifications. notifyOn is 'failure' (runs with failed
+ * occurrences or that aborted) or 'always' (a summary after every run).
+ */
+const nodemailer = require('nodemailer');
+const settingsStore = require('../data/settingsStore');
+
+const SEND_TIMEOUT_MS = 10000;
+
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    from: run.from,
+    to: run.to,
+    templatesEvaluated: run.templatesEvaluated,
+    created: run.created.length,
+    skipped: run.skipped.length,
+    failed: run.failed.map((item) => ({
+      templateId: item.templateId,
+      title: item.title,
+      dueDate: item.dueDate,
+      error: item.error
+    })),
+    error: run.error || null
+  };
+}
+
+function buildRunMessage(run) {
+  const summary = summarizeRun(run);
+  const failedRun = summary.status !== 'success';
+  const subject = failedRun
+    ? `osTicket Task Creator: template job ${summary.status === 'error' ? 'aborted' : 'had failures'}`
+    : 'osTicket Task Creator: template job summary';
+  const lines = [
+    `Run ${summary.id} (${summary.trigger}) finished ${summary.finishedAt} with status "${summary.status}".`,
+    summary.from ? `Days evaluated: ${summary.from} to ${summary.to}.` : null,
+    `Created ${summary.created}, skipped ${summary.skipped}, failed ${summary.failed.length}.`,
+    summary.error ? `Error: ${summary.error}` : null
+  ].filter(Boolean);
+  if (summary.failed.length) {
+    lines.push('', 'Failed occurrences (queued for retry):');
+    summary.failed.forEach((item) => lines.push(`- ${item.title} due ${item.dueDate}: ${item.error}`));
+  }
+  return {
+    subject,
+    text: lines.join('\n'),
+    payload: { event: failedRun ? 'job.failed' : 'job.summary', run: summary }
+  };
+}
+
+async function sendEmail(email, { subject, text }) {
+  const transport = nodemailer.createTransport({
+    host: email.host,
+    port: Number(email.port),
+    secure: Boolean(email.secure),
+    auth: email.user ? { user: email.user, pass: email.pass } : undefined,
+    connectionTimeout: SEND_TIMEOUT_MS
+  });
+  await transport.sendMail({ from: email.from, to: email.to, subject, text });
+}
+
+async function sendWebhook(webhook, payload) {
+  let response;
+  try {
+    response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+    });
+  } catch (err) {
+    // fetch reports network errors as "fetch failed" with the reason in cause.
+    throw new Error(`Webhook request failed: ${err.cause?.message || err.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}.`);
+  }
+}
+
+/**
+ * Sends the message on every enabled channel. Never throws; returns one
+ * { channel, ok, error } result per channel attempted.
+ */
+async function dispatch(notifications, message) {
+  const channels = [];
+  if (notifications.email.enabled) {
+    channels.push(['email', () => sendEmail(notifications.email, message)]);
+  }
+  if (notifications.webhook.enabled) {
+    channels.push(['webhook', () => sendWebhook(notifications.webhook, message.payload)]);
+  }
+  return Promise.all(
+    channels.map(async ([channel, send]) => {
+      try {
+        await send();
+        return { channel, ok: true };
+      } catch (err) {
+        return { channel, ok: false, error: err.message };
+      }
+    })
+  );
+}
+
+// Called by the template job with the recorded run (see data/runsStore.js).
+async function notifyRun(run) {
+  try {
+    const { notifications } = await settingsStore.getSettings();
+    if (run.status === 'success' && notifications.notifyOn !== 'always') return [];
+    const results = await dispatch(notifications, buildRunMessage(run));
+    results
+      .filter((result) => !result.ok)
+      .forEach((result) => console.error(`Failed to send ${result.channel} notification:`, result.error));
+    return results;
+  } catch (err) {
+    console.error('Failed to send job notifications:', err.message);
+    return [];
+  }
+}
+
+async function sendTestNotification(notifications) {
+  const sentAt = new Date().toISOString();
+  return dispatch(notifications, {
+    subject: 'osTicket Task Creator: test notification',
+    text: `This is a test notification sent ${sentAt}. Job notifications are configured correctly.`,
+    payload: { event: 'test', sentAt }
+  });
+}
+
+module.exports = {
+  notifyRun,
+  sendTestNotification
+};
@@ -0,0 +1,100 @@
+/**
+ * Per-occurrence exceptions (template.exceptions) and pausing
+ * (template.paused). Each exception is keyed by the occurrence's scheduled
+ * due date (YYYY-MM-DD) and can skip it, move it to newDueDate, and/or
+ * override its assignee:
+ *   { dueDate, skip, newDueDate, assignee: { type, id } | null }
+ * A moved occurrence keeps its new due date as chosen (no business-day move)
+ * and is created daysBeforeDueDateToCreate days before it. Completion-based
+ * templates do not support exceptions.
+ *
+ * Applied by the recurrence engine.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/occurrenceExceptions.js, where it sets window.occurrenceExceptions.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.occurrenceExceptions = factory();
+  }
+}(this, function () {
+  const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  function isPaused(template) {
+    return Boolean(template.paused);
+  }
+
+  function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function addDays(date, days) {
+    const copy = new Date(date.valueOf());
+    copy.setUTCDate(copy.getUTCDate() + days);
+    return copy;
+  }
+
+  function exceptionsByDueDate(template) {
+    return new Map((template.exceptions || []).map((exception) => [exception.dueDate, exception]));
+  }
+
+  /**
+   * How far moved occurrences shift creation dates: up to pullForwardDays
+   * earlier and pushBackDays later than scheduled. Lets the job look far
+   * enough around a day to find occurrences moved onto it.
+   */
+  function shiftRange(template) {
+    let pullForwardDays = 0;
+    let pushBackDays = 0;
+    (template.exceptions || []).forEach((exception) => {
+      if (exception.skip || !exception.newDueDate) return;
+      const shift = Math.round((Date.parse(`${exception.newDueDate}T00:00:00Z`) - Date.parse(`${exception.dueDate}T00:00:00Z`)) / MILLIS_PER_DAY);
+      if (shift < 0) pullForwardDays = Math.max(pullForwardDays, -shift);
+      if (shift > 0) pushBackDays = Math.max(pushBackDays, shift);
+    });
+    return { pullForwardDays, pushBackDays };
+  }
+
+  /**
+   * Applies the exception for a scheduled occurrence ({ dueDate, creationDate,
+   * scheduledDueDate? } as date-only Dates; scheduledDueDate is the date before
+   * any business-day move and defaults to dueDate). Returns null when it is
+   * skipped, otherwise the occurrence with its due and creation dates moved as
+   * needed, plus originalDueDate and exception when one applied. creationFor
+   * computes the creation date for a moved due date.
+   */
+  function applyException(template, exceptions, occurrence, creationFor = null) {
+    const key = formatDate(occurrence.scheduledDueDate || occurrence.dueDate);
+    const exception = exceptions.get(key);
+    if (!exception) return occurrence;
+    if (exception.skip) return null;
+
+    const result = { ...occurrence, originalDueDate: key, exception };
+    if (exception.newDueDate) {
+      const daysBefore = Math.max(0, Number(template.daysBeforeDueDateToCreate || 0));
+      result.dueDate = new Date(`${exception.newDueDate}T00:00:00Z`);
+      result.creationDate = creationFor ? creationFor(result.dueDate) : addDays(result.dueDate, -daysBefore);
+    }
+    return result;
+  }
+
+  /**
+   * The exception that applies to the task due on dueDateKey after moves, if
+   * any: one moved onto that day, or one for an unmoved occurrence on it.
+   */
+  function exceptionForActualDueDate(template, dueDateKey) {
+    return (template.exceptions || []).find(
+      (exception) => !exception.skip && (exception.newDueDate || exception.dueDate) === dueDateKey
+    ) || null;
+  }
+
+  return {
+    isPaused,
+    exceptionsByDueDate,
+    shiftRange,
+    applyException,
+    exceptionForActualDueDate
+  };
+}));
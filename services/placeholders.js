@@ -0,0 +1,89 @@
+/**
+ * {{placeholder}} expansion for template titles and descriptions. Values come
+ * from the occurrence being created; the period is the month/quarter/year of
+ * its due date. period.quarter is the calendar quarter and fiscal.quarter the
+ * quarter of the template's fiscal year (see fiscalYearStartMonth). Unknown placeholders are left as written so typos stay
+ * visible in osTicket instead of silently disappearing.
+ */
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+];
+
+// Shown as help text next to the template form preview.
+const PLACEHOLDERS = {
+  'client.name': 'Client name',
+  dueDate: 'Due date (YYYY-MM-DD)',
+  'period.month': 'Month name of the due date, e.g. January',
+  'period.monthNumber': 'Two-digit month of the due date, e.g. 01',
+  'period.quarter': 'Calendar quarter of the due date, e.g. Q1',
+  'fiscal.quarter': 'Quarter of the due date in the template\'s fiscal year, e.g. Q3',
+  'period.year': 'Year of the due date',
+  'assignee.name': 'Assigned staff member or team'
+};
+
+function assigneeName(template, reference) {
+  const id = Number(template.assignee?.id) || 0;
+  const names = template.assignee?.type === 'team' ? reference.teams : reference.staff;
+  return names.get(id) || '';
+}
+
+// The month (1-12) the template's fiscal year starts in: the one chosen for
+// a quarterly recurrence, January otherwise.
+function fiscalYearStartMonth(template) {
+  return Number(template?.recurrence?.quarterly?.fiscalYearStartMonth) || 1;
+}
+
+/**
+ * dueDate is a date-only Date (UTC midnight) or a YYYY-MM-DD string;
+ * fiscalStartMonth is as returned by fiscalYearStartMonth.
+ */
+function buildContext({ dueDate, clientName, assigneeName: assignee, fiscalStartMonth = 1 }) {
+  const due = typeof dueDate === 'string' ? new Date(`${dueDate}T00:00:00Z`) : dueDate;
+  const month = due.getUTCMonth();
+  const fiscalMonth = (month - (fiscalStartMonth - 1) + 12) % 12;
+  return {
+    'client.name': clientName || '',
+    dueDate: due.toISOString().slice(0, 10),
+    'period.month': MONTH_NAMES[month],
+    'period.monthNumber': String(month + 1).padStart(2, '0'),
+    'period.quarter': `Q${Math.floor(month / 3) + 1}`,
+    'period.year': String(due.getUTCFullYear()),
+    'fiscal.quarter': `Q${Math.floor(fiscalMonth / 3) + 1}`,
+    'assignee.name': assignee || ''
+  };
+}
+
+function render(text, context) {
+  return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(context, key) ? context[key] : match
+  );
+}
+
+// Returns the template with its title and description expanded.
+function renderTemplate(template, context) {
+  return {
+    ...template,
+    title: render(template.title, context),
+    description: render(template.description, context)
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  assigneeName,
+  fiscalYearStartMonth,
+  buildContext,
+  render,
+  renderTemplate
+};
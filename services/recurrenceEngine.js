@@ -0,0 +1,362 @@
+/**
+ * The recurrence engine: the one place that turns a template into the dates
+ * its tasks are due and created on. It steps through the recurrence (or
+ * expands its RRULE), then applies the template's active window, business-day
+ * rules and per-occurrence exceptions. The template job, the calendar, the
+ * occurrences API and the browser all use it so they agree on every date.
+ *
+ * Completion-based templates are not covered beyond their first due date;
+ * their next occurrence depends on when the last task was closed (see
+ * completionRecurrence). Dates are date-only UTC midnights.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/recurrenceEngine.js (after the modules it depends on), where it
+ * sets window.recurrenceEngine.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./rrule'),
+      require('./monthlyPattern'),
+      require('./scheduleWindow'),
+      require('./occurrenceExceptions'),
+      require('./businessDays')
+    );
+  } else {
+    root.recurrenceEngine = factory(
+      root.rrule,
+      root.monthlyPattern,
+      root.scheduleWindow,
+      root.occurrenceExceptions,
+      root.businessDays
+    );
+  }
+}(this, function (rrule, monthlyPattern, scheduleWindow, occurrenceExceptions, businessDays) {
+  const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+  // High ceiling for long-lived schedules that cannot skip ahead.
+  const MAX_ITERATIONS = 50000;
+  // How far business-day moves can shift a due date from its scheduled day (a
+  // run of weekends and holidays).
+  const BUSINESS_DAY_SLACK_DAYS = 14;
+
+  function toDateOnly(value) {
+    if (!value) return null;
+    const date = typeof value === 'string' ? new Date(`${value.slice(0, 10)}T00:00:00Z`) : new Date(value.valueOf());
+    if (Number.isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  function addDays(date, days) {
+    const copy = new Date(date.valueOf());
+    copy.setUTCDate(copy.getUTCDate() + days);
+    return copy;
+  }
+
+  function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function leadDays(template) {
+    return Math.max(0, Number(template.daysBeforeDueDateToCreate || 0));
+  }
+
+  // Monday of the week date falls in.
+  function weekStart(date) {
+    return addDays(date, -((date.getUTCDay() + 6) % 7));
+  }
+
+  /**
+   * The weekdays (0 = Sunday) a weekly recurrence falls on: daysOfWeek, the
+   * single dayOfWeek older templates have, or else the first due date's.
+   */
+  function weeklyDays(weekly, firstDueDate) {
+    if (Array.isArray(weekly?.daysOfWeek) && weekly.daysOfWeek.length) {
+      return weekly.daysOfWeek.map(Number);
+    }
+    if (weekly?.dayOfWeek !== undefined && weekly.dayOfWeek !== null && weekly.dayOfWeek !== '') {
+      return [Number(weekly.dayOfWeek)];
+    }
+    return [firstDueDate.getUTCDay()];
+  }
+
+  /**
+   * Whether month (0-based, may run past December) is the month a quarterly
+   * recurrence is due in: monthOfQuarter (1-3) of each quarter of a fiscal
+   * year starting in fiscalYearStartMonth (1-12). Older templates only have
+   * useFirstDayOfQuarter, which is the first month of calendar quarters.
+   */
+  function isQuarterDueMonth(month, quarterly = {}) {
+    const fiscalStart = Number(quarterly.fiscalYearStartMonth || 1) - 1;
+    const monthOfQuarter = Number(quarterly.monthOfQuarter || 1) - 1;
+    return (((month - fiscalStart - monthOfQuarter) % 3) + 3) % 3 === 0;
+  }
+
+  // The due date in a quarterly due month: dayOfMonth (clamped to the month's
+  // end) or the last day, and day 1 for older templates.
+  function quarterlyDate(year, month, quarterly = {}) {
+    return monthlyPattern.dateInMonth(year, month, quarterly, 1);
+  }
+
+  // The due date of a yearly recurrence in year. Older templates without a
+  // month or day use those of base (the previous due date).
+  function yearlyDate(year, yearly = {}, base) {
+    const month = Number(yearly.month || base.getUTCMonth() + 1) - 1;
+    if (yearly.pattern === 'lastDay') {
+      return monthlyPattern.dateInMonth(year, month, { pattern: 'lastDay' });
+    }
+    return monthlyPattern.clampedDate(year, month, Number(yearly.day || base.getUTCDate()));
+  }
+
+  /**
+   * The scheduled due date after prevDue, or null when there is none.
+   * firstDueDate anchors weekly recurrences: weeks (Monday to Sunday) are
+   * counted from the one it falls in, so "every 2 weeks" keeps its rhythm.
+   * holidays (a Set of YYYY-MM-DD dates) are skipped by monthly
+   * 'lastBusinessDay' patterns.
+   */
+  function nextDueDate(prevDue, recurrence, firstDueDate = prevDue, holidays = new Set()) {
+    const base = toDateOnly(prevDue);
+    switch (recurrence?.type) {
+      case 'daily': {
+        const interval = Math.max(1, Number(recurrence.daily?.intervalDays || 1));
+        return addDays(base, interval);
+      }
+      case 'weekly': {
+        const intervalWeeks = Math.max(1, Number(recurrence.weekly?.intervalWeeks || 1));
+        const anchor = weekStart(toDateOnly(firstDueDate));
+        const days = weeklyDays(recurrence.weekly, toDateOnly(firstDueDate));
+        for (let offset = 1; offset <= (intervalWeeks + 1) * 7; offset += 1) {
+          const candidate = addDays(base, offset);
+          const weeks = Math.round((weekStart(candidate) - anchor) / (7 * MILLIS_PER_DAY));
+          if (((weeks % intervalWeeks) + intervalWeeks) % intervalWeeks === 0 && days.includes(candidate.getUTCDay())) {
+            return candidate;
+          }
+        }
+        return null;
+      }
+      case 'monthly': {
+        const intervalMonths = Math.max(1, Number(recurrence.monthly?.intervalMonths || 1));
+        return monthlyPattern.dateInMonth(
+          base.getUTCFullYear(),
+          base.getUTCMonth() + intervalMonths,
+          recurrence.monthly,
+          base.getUTCDate(),
+          holidays
+        );
+      }
+      case 'quarterly': {
+        // The first quarter date after base: scan the next few months for one
+        // that is a due month of a quarter.
+        for (let offset = 0; offset <= 3; offset += 1) {
+          const month = base.getUTCMonth() + offset;
+          if (!isQuarterDueMonth(month, recurrence.quarterly)) continue;
+          const candidate = quarterlyDate(base.getUTCFullYear(), month, recurrence.quarterly);
+          if (candidate > base) return candidate;
+        }
+        return null;
+      }
+      case 'yearly':
+        return yearlyDate(base.getUTCFullYear() + 1, recurrence.yearly, base);
+      case 'custom': {
+        const interval = Math.max(1, Number(recurrence.custom?.intervalDays || 1));
+        return addDays(base, interval);
+      }
+      default:
+        return null;
+    }
+  }
+
+  function initialDueDate(template) {
+    if (template.recurrence?.type === 'custom' && template.recurrence.custom?.startDate) {
+      return toDateOnly(template.recurrence.custom.startDate);
+    }
+    return toDateOnly(template.firstDueDate);
+  }
+
+  // Days between occurrences for recurrences that repeat at a fixed interval,
+  // which can skip ahead arithmetically; null for the others.
+  function fixedIntervalDays(recurrence) {
+    switch (recurrence?.type) {
+      case 'daily':
+        return Math.max(1, Number(recurrence.daily?.intervalDays || 1));
+      case 'custom':
+        return Math.max(1, Number(recurrence.custom?.intervalDays || 1));
+      case 'weekly':
+        return Math.max(1, Number(recurrence.weekly?.intervalWeeks || 1)) * 7;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The first scheduled due date: first when it fits the recurrence, else
+   * the first date after it that does (a weekly template due on Mondays and
+   * Thursdays whose first due date is a Wednesday starts that Thursday, a
+   * "second Tuesday" one starting on the 20th starts next month, a quarterly
+   * one starts on its first quarter date).
+   */
+  function firstScheduledDate(first, recurrence, holidays) {
+    switch (recurrence?.type) {
+      case 'weekly':
+        return nextDueDate(addDays(first, -1), recurrence, first);
+      case 'monthly': {
+        const candidate = monthlyPattern.dateInMonth(
+          first.getUTCFullYear(),
+          first.getUTCMonth(),
+          recurrence.monthly,
+          first.getUTCDate(),
+          holidays
+        );
+        return candidate >= first ? candidate : nextDueDate(candidate, recurrence, first, holidays);
+      }
+      case 'quarterly':
+        return nextDueDate(addDays(first, -1), recurrence);
+      case 'yearly': {
+        const candidate = yearlyDate(first.getUTCFullYear(), recurrence.yearly, first);
+        return candidate >= first ? candidate : nextDueDate(candidate, recurrence);
+      }
+      default:
+        return first;
+    }
+  }
+
+  function* stepDueDates(first, recurrence, skipTo, holidays) {
+    const start = firstScheduledDate(first, recurrence, holidays);
+    let due = start;
+    const interval = fixedIntervalDays(recurrence);
+    if (skipTo && interval && due && due < skipTo) {
+      due = addDays(due, Math.floor((skipTo - due) / (interval * MILLIS_PER_DAY)) * interval);
+      // That day is in a scheduled week; resume at its first chosen weekday.
+      if (recurrence.type === 'weekly' && due > start) {
+        due = nextDueDate(addDays(due, -1), recurrence, first);
+      }
+    }
+    while (due) {
+      yield due;
+      const next = nextDueDate(due, recurrence, first, holidays);
+      if (!next || next.getTime() <= due.getTime()) return;
+      due = next;
+    }
+  }
+
+  /**
+   * The template's scheduled due dates in order, before business-day moves
+   * and exceptions, from the first one on or after firstDueDate that fits
+   * the recurrence (see firstScheduledDate). Fixed-interval recurrences start at the last date on or
+   * before skipTo when it is given. RRULEs are expanded from firstDueDate
+   * (their DTSTART) because COUNT and BYSETPOS depend on the whole sequence.
+   * holidays is the template's set of holiday dates (see
+   * businessDays.rulesFor). Throws for an invalid RRULE.
+   */
+  function scheduledDueDates(template, skipTo = null, holidays = new Set()) {
+    const first = initialDueDate(template);
+    if (!first) return [][Symbol.iterator]();
+    if (template.recurrence?.type === 'rrule') {
+      return rrule.iterate(rrule.parse(template.recurrence.rrule?.rule), first);
+    }
+    return stepDueDates(first, template.recurrence, skipTo, holidays);
+  }
+
+  // options.holidayCalendars is as for occurrences().
+  function isScheduledDueDate(template, dueDate, options = {}) {
+    const target = toDateOnly(dueDate);
+    if (!target) return false;
+    const { holidays } = businessDays.rulesFor(template, options.holidayCalendars || new Map());
+    for (const scheduled of scheduledDueDates(template, target, holidays)) {
+      if (scheduled.getTime() >= target.getTime()) return scheduled.getTime() === target.getTime();
+    }
+    return false;
+  }
+
+  /**
+   * Iterates the template's occurrences in scheduled order until its
+   * schedule ends. Each is { scheduledDueDate, dueDate, creationDate, status,
+   * exception, match }: dueDate and creationDate are after business-day
+   * rules, status is 'before' (the template is not active yet) or 'active',
+   * exception is the one keyed by scheduledDueDate (or null), and match is an
+   * active occurrence after its exception (see
+   * occurrenceExceptions.applyException), or null when it is skipped.
+   *
+   * options.holidayCalendars is holidayCalendarsStore.getHolidaySets(). With
+   * options.from, occurrences scheduled well before that day may be left out
+   * when the template does not end after a number of occurrences (counting
+   * needs all of them). Throws for an invalid RRULE.
+   */
+  function occurrences(template, options = {}) {
+    const daysBefore = leadDays(template);
+    const activeWindow = scheduleWindow.getWindow(template);
+    const rules = businessDays.rulesFor(template, options.holidayCalendars || new Map());
+    const exceptions = occurrenceExceptions.exceptionsByDueDate(template);
+    const creationFor = (dueDate) => businessDays.creationDateFor(rules, dueDate, daysBefore);
+    // Exceptions and the 'next' policy can move earlier occurrences onto from.
+    const { pushBackDays } = occurrenceExceptions.shiftRange(template);
+    const slack = rules.policy === 'next' ? BUSINESS_DAY_SLACK_DAYS : 0;
+    const from = toDateOnly(options.from);
+    const skipTo = from && !activeWindow.maxOccurrences ? addDays(from, -pushBackDays - slack) : null;
+    const dueDates = scheduledDueDates(template, skipTo, rules.holidays);
+
+    return (function* project() {
+      let activeCount = 0;
+      let iterations = 0;
+      for (const scheduledDueDate of dueDates) {
+        if (iterations >= MAX_ITERATIONS) {
+          console.warn(`Stopped evaluating template ${template.id} after ${MAX_ITERATIONS} iterations.`);
+          return;
+        }
+        iterations += 1;
+        const occurrence = businessDays.scheduleOccurrence(rules, scheduledDueDate, daysBefore);
+        const status = scheduleWindow.occurrenceStatus(activeWindow, occurrence, activeCount);
+        if (status === 'ended') return;
+        let match = null;
+        if (status === 'active') {
+          activeCount += 1;
+          match = occurrenceExceptions.applyException(template, exceptions, occurrence, creationFor);
+        }
+        yield { ...occurrence, status, exception: exceptions.get(formatDate(scheduledDueDate)) || null, match };
+      }
+    }());
+  }
+
+  /**
+   * Active occurrences whose span from creation date to due date overlaps
+   * from..to, sorted by due date, as { scheduledDueDate, dueDate,
+   * creationDate, skipped, exception, originalDueDate }. Skipped occurrences
+   * are included with their scheduled dates. Throws for an invalid RRULE.
+   */
+  function occurrencesBetween(template, from, to, options = {}) {
+    const start = toDateOnly(from);
+    const end = toDateOnly(to);
+    // Occurrences scheduled to be created up to pullForwardDays after the
+    // range can be moved into it.
+    const { pullForwardDays } = occurrenceExceptions.shiftRange(template);
+    const lastCreation = addDays(end, pullForwardDays);
+    const results = [];
+    for (const occurrence of occurrences(template, { ...options, from: start })) {
+      if (occurrence.creationDate > lastCreation) break;
+      if (occurrence.status !== 'active') continue;
+      const actual = occurrence.match || occurrence;
+      if (actual.dueDate < start || actual.creationDate > end) continue;
+      results.push({
+        scheduledDueDate: occurrence.scheduledDueDate,
+        dueDate: actual.dueDate,
+        creationDate: actual.creationDate,
+        skipped: !occurrence.match,
+        exception: occurrence.exception,
+        originalDueDate: actual.originalDueDate || null
+      });
+    }
+    return results.sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  return {
+    toDateOnly,
+    formatDate,
+    weeklyDays,
+    nextDueDate,
+    initialDueDate,
+    scheduledDueDates,
+    isScheduledDueDate,
+    occurrences,
+    occurrencesBetween
+  };
+}));
@@ -0,0 +1,320 @@
+/**
+ * A date-only subset of RFC 5545 RRULE for recurrence.type 'rrule'. The
+ * template's firstDueDate acts as DTSTART and is always the first occurrence.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY
+ * (with ordinals such as 2TU or -1FR for MONTHLY/YEARLY; they count within
+ * the month, or within the year for YEARLY without BYMONTH), BYMONTHDAY
+ * (negative counts from the month's end), BYMONTH, BYSETPOS, COUNT, UNTIL and
+ * WKST (weeks always start on Monday). Times in UNTIL are ignored; the date
+ * is inclusive.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/rrule.js, where it sets window.rrule.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.rrule = factory();
+  }
+}(this, function () {
+  const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+  const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'COUNT', 'UNTIL', 'WKST'];
+  // Stop looking when nothing has matched for this many years (e.g.
+  // BYMONTH=2;BYMONTHDAY=30), so impossible rules cannot loop forever. Long
+  // enough for February 29, which can be eight years apart.
+  const MAX_EMPTY_YEARS = 10;
+  // Largest BYDAY ordinal that can match within a month.
+  const MAX_MONTH_ORDINAL = 5;
+
+  function intList(value, name, min, max) {
+    return value.split(',').map((raw) => {
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n === 0 || Math.abs(n) < min || Math.abs(n) > max) {
+        throw new Error(`${name} value "${raw}" must be between ${min} and ${max} (or -${max} to -${min}).`);
+      }
+      return n;
+    });
+  }
+
+  /**
+   * Parses an RRULE string (with or without the "RRULE:" prefix). Throws an
+   * Error describing the first problem found.
+   */
+  function parse(input) {
+    const text = String(input || '').trim().replace(/^RRULE:/i, '');
+    if (!text) {
+      throw new Error('RRULE is empty.');
+    }
+
+    const parts = {};
+    text.split(';').filter(Boolean).forEach((segment) => {
+      const [key, value] = segment.split('=');
+      const name = (key || '').trim().toUpperCase();
+      if (!SUPPORTED_PARTS.includes(name)) {
+        throw new Error(`RRULE part "${name}" is not supported.`);
+      }
+      if (!value) {
+        throw new Error(`RRULE part ${name} has no value.`);
+      }
+      parts[name] = value.trim().toUpperCase();
+    });
+
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+      throw new Error(`RRULE FREQ must be one of ${FREQUENCIES.join(', ')}.`);
+    }
+
+    const rule = { freq: parts.FREQ, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], count: null, until: null };
+
+    if (parts.INTERVAL) {
+      rule.interval = Number(parts.INTERVAL);
+      if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        throw new Error('RRULE INTERVAL must be a positive integer.');
+      }
+    }
+    if (parts.BYDAY) {
+      rule.byDay = parts.BYDAY.split(',').map((raw) => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(raw);
+        if (!match) {
+          throw new Error(`RRULE BYDAY value "${raw}" is not valid (use e.g. MO, 2TU or -1FR).`);
+        }
+        const nth = match[1] ? Number(match[1]) : null;
+        if (nth !== null && (nth === 0 || Math.abs(nth) > 53)) {
+          throw new Error(`RRULE BYDAY ordinal in "${raw}" is out of range.`);
+        }
+        if (nth !== null && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+          throw new Error('RRULE BYDAY ordinals (e.g. 2TU) are only allowed with FREQ=MONTHLY or FREQ=YEARLY.');
+        }
+        return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+      });
+    }
+    if (parts.BYMONTHDAY) rule.byMonthDay = intList(parts.BYMONTHDAY, 'RRULE BYMONTHDAY', 1, 31);
+    if (parts.BYMONTH) {
+      rule.byMonth = intList(parts.BYMONTH, 'RRULE BYMONTH', 1, 12);
+      if (rule.byMonth.some((n) => n < 0)) {
+        throw new Error('RRULE BYMONTH values must be between 1 and 12.');
+      }
+    }
+    // Ordinals count within the month unless a YEARLY rule spans the year.
+    const yearScope = rule.freq === 'YEARLY' && !rule.byMonth.length;
+    const ordinal = rule.byDay.find((entry) => entry.nth !== null && Math.abs(entry.nth) > MAX_MONTH_ORDINAL);
+    if (ordinal && !yearScope) {
+      throw new Error(`RRULE BYDAY ordinal ${ordinal.nth} can never match within a month; use 1 to ${MAX_MONTH_ORDINAL} or -${MAX_MONTH_ORDINAL} to -1.`);
+    }
+    if (parts.BYSETPOS) rule.bySetPos = intList(parts.BYSETPOS, 'RRULE BYSETPOS', 1, 366);
+    if (parts.COUNT && parts.UNTIL) {
+      throw new Error('RRULE cannot have both COUNT and UNTIL.');
+    }
+    if (parts.COUNT) {
+      rule.count = Number(parts.COUNT);
+      if (!Number.isInteger(rule.count) || rule.count < 1) {
+        throw new Error('RRULE COUNT must be a positive integer.');
+      }
+    }
+    if (parts.UNTIL) {
+      const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(parts.UNTIL);
+      const until = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+      if (!until || until.getUTCDate() !== Number(match[3])) {
+        throw new Error('RRULE UNTIL must be a date like 20251231 or 20251231T000000Z.');
+      }
+      rule.until = until;
+    }
+    if (parts.WKST && !WEEKDAYS.includes(parts.WKST)) {
+      throw new Error('RRULE WKST must be a weekday such as MO.');
+    }
+
+    return rule;
+  }
+
+  // Canonical form stored on templates (upper case, no RRULE: prefix).
+  function normalize(input) {
+    return String(input || '').trim().replace(/^RRULE:/i, '').toUpperCase();
+  }
+
+  function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day));
+  }
+
+  function daysInMonth(year, month) {
+    return utcDate(year, month + 1, 0).getUTCDate();
+  }
+
+  function matchesByDay(date, byDay) {
+    return !byDay.length || byDay.some((entry) => entry.weekday === date.getUTCDay());
+  }
+
+  function matchesByMonthDay(date, byMonthDay) {
+    if (!byMonthDay.length) return true;
+    const day = date.getUTCDate();
+    const total = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+    return byMonthDay.some((n) => (n > 0 ? n === day : total + n + 1 === day));
+  }
+
+  // Dates from first to last (inclusive) selected by BYDAY, with ordinals
+  // counting within that span.
+  function datesByDay(first, last, byDay) {
+    const result = [];
+    byDay.forEach(({ weekday, nth }) => {
+      const matching = [];
+      const offset = (weekday - first.getUTCDay() + 7) % 7;
+      let date = utcDate(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate() + offset);
+      while (date <= last) {
+        matching.push(date);
+        date = utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 7);
+      }
+      if (nth === null) {
+        result.push(...matching);
+      } else {
+        const date = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        if (date) result.push(date);
+      }
+    });
+    return result;
+  }
+
+  // Days in the month selected by BYDAY (with optional ordinals).
+  function monthDaysByDay(year, month, byDay) {
+    return datesByDay(utcDate(year, month, 1), utcDate(year, month + 1, 0), byDay).map((date) => date.getUTCDate());
+  }
+
+  // Candidate days of one month for MONTHLY/YEARLY rules.
+  function monthCandidates(rule, year, month, dtstart) {
+    let days;
+    if (rule.byMonthDay.length) {
+      const total = daysInMonth(year, month);
+      days = rule.byMonthDay.map((n) => (n > 0 ? n : total + n + 1)).filter((d) => d >= 1 && d <= total);
+      if (rule.byDay.length) {
+        const allowed = new Set(monthDaysByDay(year, month, rule.byDay));
+        days = days.filter((d) => allowed.has(d));
+      }
+    } else if (rule.byDay.length) {
+      days = monthDaysByDay(year, month, rule.byDay);
+    } else {
+      days = dtstart.getUTCDate() <= daysInMonth(year, month) ? [dtstart.getUTCDate()] : [];
+    }
+    return days.map((d) => utcDate(year, month, d));
+  }
+
+  // Candidate dates of the period starting at periodStart, before BYSETPOS.
+  function periodCandidates(rule, periodStart, dtstart) {
+    switch (rule.freq) {
+      case 'DAILY': {
+        const ok =
+          matchesByDay(periodStart, rule.byDay) &&
+          matchesByMonthDay(periodStart, rule.byMonthDay) &&
+          (!rule.byMonth.length || rule.byMonth.includes(periodStart.getUTCMonth() + 1));
+        return ok ? [periodStart] : [];
+      }
+      case 'WEEKLY': {
+        const weekdays = rule.byDay.length ? rule.byDay.map((entry) => entry.weekday) : [dtstart.getUTCDay()];
+        const dates = [];
+        for (let i = 0; i < 7; i += 1) {
+          const date = utcDate(periodStart.getUTCFullYear(), periodStart.getUTCMonth(), periodStart.getUTCDate() + i);
+          if (
+            weekdays.includes(date.getUTCDay()) &&
+            matchesByMonthDay(date, rule.byMonthDay) &&
+            (!rule.byMonth.length || rule.byMonth.includes(date.getUTCMonth() + 1))
+          ) {
+            dates.push(date);
+          }
+        }
+        return dates;
+      }
+      case 'MONTHLY': {
+        if (rule.byMonth.length && !rule.byMonth.includes(periodStart.getUTCMonth() + 1)) return [];
+        return monthCandidates(rule, periodStart.getUTCFullYear(), periodStart.getUTCMonth(), dtstart);
+      }
+      case 'YEARLY': {
+        // Without BYMONTH, BYDAY picks days of the whole year (20MO is the
+        // year's 20th Monday) and BYMONTHDAY narrows them down.
+        if (!rule.byMonth.length && rule.byDay.length) {
+          const year = periodStart.getUTCFullYear();
+          return datesByDay(utcDate(year, 0, 1), utcDate(year, 11, 31), rule.byDay)
+            .filter((date) => matchesByMonthDay(date, rule.byMonthDay));
+        }
+        const months = rule.byMonth.length ? rule.byMonth.map((m) => m - 1) : [dtstart.getUTCMonth()];
+        const year = periodStart.getUTCFullYear();
+        return months.flatMap((month) => monthCandidates(rule, year, month, dtstart));
+      }
+      default:
+        return [];
+    }
+  }
+
+  function periodStartFor(rule, date) {
+    switch (rule.freq) {
+      case 'WEEKLY': {
+        const back = (date.getUTCDay() + 6) % 7; // weeks start on Monday
+        return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - back);
+      }
+      case 'MONTHLY':
+        return utcDate(date.getUTCFullYear(), date.getUTCMonth(), 1);
+      case 'YEARLY':
+        return utcDate(date.getUTCFullYear(), 0, 1);
+      default:
+        return date;
+    }
+  }
+
+  function nextPeriod(rule, start) {
+    const y = start.getUTCFullYear();
+    const m = start.getUTCMonth();
+    const d = start.getUTCDate();
+    switch (rule.freq) {
+      case 'DAILY':
+        return utcDate(y, m, d + rule.interval);
+      case 'WEEKLY':
+        return utcDate(y, m, d + 7 * rule.interval);
+      case 'MONTHLY':
+        return utcDate(y, m + rule.interval, 1);
+      default:
+        return utcDate(y + rule.interval, 0, 1);
+    }
+  }
+
+  /**
+   * Yields due dates (date-only UTC Dates) in order, starting with dtstart.
+   * rule is a parsed rule or an RRULE string.
+   */
+  function* iterate(ruleInput, dtstart) {
+    const rule = typeof ruleInput === 'string' ? parse(ruleInput) : ruleInput;
+    let emitted = 0;
+    const withinLimits = (date) => (!rule.until || date <= rule.until) && (!rule.count || emitted < rule.count);
+
+    if (!withinLimits(dtstart)) return;
+    emitted += 1;
+    yield dtstart;
+
+    let periodStart = periodStartFor(rule, dtstart);
+    let last = dtstart;
+    for (;;) {
+      let dates = periodCandidates(rule, periodStart, dtstart).sort((a, b) => a - b);
+      if (rule.bySetPos.length) {
+        const all = dates;
+        dates = rule.bySetPos
+          .map((pos) => (pos > 0 ? all[pos - 1] : all[all.length + pos]))
+          .filter(Boolean)
+          .sort((a, b) => a - b);
+      }
+      dates = dates.filter((date, index) => date > dtstart && (index === 0 || date.getTime() !== dates[index - 1].getTime()));
+      if (!dates.length && periodStart > utcDate(last.getUTCFullYear() + MAX_EMPTY_YEARS, last.getUTCMonth(), last.getUTCDate())) {
+        return;
+      }
+      for (const date of dates) {
+        if (!withinLimits(date)) return;
+        emitted += 1;
+        last = date;
+        yield date;
+      }
+      periodStart = nextPeriod(rule, periodStart);
+    }
+  }
+
+  return {
+    parse,
+    normalize,
+    iterate
+  };
+}));
@@ -0,0 +1,55 @@
+/**
+ * Optional limits on when a template produces tasks:
+ *  - activeFrom (YYYY-MM-DD): nothing is created before this day. Occurrences
+ *    whose creation date is earlier are skipped and do not count.
+ *  - ends: { type: 'never' | 'afterOccurrences' | 'onDate', occurrences, date }
+ *    stops the schedule after that many active occurrences, or before the
+ *    first occurrence due after date.
+ *
+ * Applied by the recurrence engine and completion-based recurrence.
+ *
+ * UMD module: required by the server and loaded by the browser as
+ * /js/shared/scheduleWindow.js, where it sets window.scheduleWindow.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.scheduleWindow = factory();
+  }
+}(this, function () {
+  const END_TYPES = ['never', 'afterOccurrences', 'onDate'];
+
+  function parseDay(value) {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  function getWindow(template) {
+    const ends = template.ends || {};
+    return {
+      activeFrom: parseDay(template.activeFrom),
+      endDate: ends.type === 'onDate' ? parseDay(ends.date) : null,
+      maxOccurrences: ends.type === 'afterOccurrences' ? Math.max(1, Number(ends.occurrences) || 1) : null
+    };
+  }
+
+  /**
+   * Classifies an occurrence ({ dueDate, creationDate } as date-only Dates) as
+   * 'before' (not active yet), 'active' or 'ended'. activeCount is the number
+   * of active occurrences that come before it.
+   */
+  function occurrenceStatus(activeWindow, occurrence, activeCount) {
+    if (activeWindow.endDate && occurrence.dueDate > activeWindow.endDate) return 'ended';
+    if (activeWindow.maxOccurrences && activeCount >= activeWindow.maxOccurrences) return 'ended';
+    if (activeWindow.activeFrom && occurrence.creationDate < activeWindow.activeFrom) return 'before';
+    return 'active';
+  }
+
+  return {
+    END_TYPES,
+    getWindow,
+    occurrenceStatus
+  };
+}));
@@ -0,0 +1,104 @@
+/**
+ * In-process scheduler that runs the template job once a day at the time set
+ * in settings.scheduler.time, interpreted in settings.calendar.timezone. The
+ * cron script remains available; both share the job lock, so an overlapping
+ * run is skipped instead of generating twice.
+ */
+const settingsStore = require('../data/settingsStore');
+const templateJob = require('./templateJob');
+const { getZonedParts, parseTimeOfDay, zonedTimeToUtc } = require('./timezone');
+
+let timer = null;
+let nextRunAt = null;
+let running = false;
+let lastOutcome = null;
+
+function computeNextRun(now, time, timeZone) {
+  const parsed = parseTimeOfDay(time);
+  if (!parsed) return null;
+  const today = getZonedParts(now, timeZone);
+  let candidate = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day, ...parsed }, timeZone);
+  if (candidate.getTime() <= now.getTime()) {
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    candidate = zonedTimeToUtc(
+      { year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate(), ...parsed },
+      timeZone
+    );
+  }
+  return candidate;
+}
+
+async function runNow() {
+  if (running) return;
+  running = true;
+  const startedAt = new Date().toISOString();
+  try {
+    // Catches up on days missed while the server was down, like the cron script.
+    const result = await templateJob.runTemplateJob({ trigger: 'scheduler', catchUp: true });
+    lastOutcome = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: result.failed.length ? 'failed' : 'success',
+      message: `Created ${result.created.length}, skipped ${result.skipped.length}, failed ${result.failed.length}.`
+    };
+    console.log(`Scheduled template job finished: ${lastOutcome.message}`);
+    result.failed.forEach((item) => console.error(`- ${item.title} (${item.templateId}) due ${item.dueDate}: ${item.error}`));
+  } catch (err) {
+    lastOutcome = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: err.code === 'ELOCKED' ? 'locked' : 'error',
+      message: err.message
+    };
+    console.error('Scheduled template job did not run:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+async function reschedule() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  nextRunAt = null;
+
+  const settings = await settingsStore.getSettings();
+  if (!settings.scheduler.enabled) return;
+
+  nextRunAt = computeNextRun(new Date(), settings.scheduler.time, settings.calendar.timezone);
+  if (!nextRunAt) {
+    console.error(`Scheduler disabled: invalid time "${settings.scheduler.time}".`);
+    return;
+  }
+
+  timer = setTimeout(async () => {
+    await runNow();
+    reschedule().catch((err) => console.error('Failed to reschedule template job:', err.message));
+  }, Math.max(0, nextRunAt.getTime() - Date.now()));
+  timer.unref();
+}
+
+async function getStatus() {
+  const [settings, state] = await Promise.all([settingsStore.getSettings(), templateJob.readJobState()]);
+  return {
+    enabled: Boolean(settings.scheduler.enabled),
+    time: settings.scheduler.time,
+    timezone: settings.calendar.timezone,
+    running,
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+    lastRun: state.lastRun || null,
+    lastSchedulerOutcome: lastOutcome
+  };
+}
+
+function start() {
+  return reschedule().catch((err) => console.error('Failed to start template job scheduler:', err.message));
+}
+
+module.exports = {
+  start,
+  reschedule,
+  getStatus,
+  computeNextRun
+};
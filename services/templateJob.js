@@ -0,0 +1,656 @@
+/**
+ * Template job: reads templates.json and determines which templates should
+ * create work on a given day based on their recurrence rules and creation lead
+ * time. Matching occurrences are written directly to the osTicket database as
+ * tasks through the shared writer in db/taskWriter.js. An audit trail is
+ * also appended to data/generated-tasks.json for visibility.
+ *
+ * Used by scripts/run-template-job.js (cron) and the in-process scheduler.
+ */
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const templatesStore = require('../data/templatesStore');
+const fileStore = require('../data/fileStore');
+const clientsStore = require('../data/clientsStore');
+const settingsStore = require('../data/settingsStore');
+const retryQueueStore = require('../data/retryQueueStore');
+const generatedTasksStore = require('../data/generatedTasksStore');
+const runsStore = require('../data/runsStore');
+const holidayCalendarsStore = require('../data/holidayCalendarsStore');
+const notifier = require('./notifier');
+const placeholders = require('./placeholders');
+const completionRecurrence = require('./completionRecurrence');
+const scheduleWindow = require('./scheduleWindow');
+const occurrenceExceptions = require('./occurrenceExceptions');
+const recurrenceEngine = require('./recurrenceEngine');
+const db = require('../db/db');
+const { toDateTimeString } = require('../db/taskWriter');
+const jobLock = require('./jobLock');
+const { getZonedParts, zonedDateAtTime } = require('./timezone');
+
+const STATE_PATH = path.join(__dirname, '..', 'data', 'job-state.json');
+
+function toDateOnly(dateInput) {
+  const d = typeof dateInput === 'string' ? new Date(`${dateInput}T00:00:00Z`) : dateInput;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * Converts a matched occurrence (calendar dates) into the instants written to
+ * osTicket: the due date at the template's due time and the start of the
+ * creation day, both in the template's timezone.
+ */
+function occurrenceTimes(match, timing) {
+  return {
+    dueAt: zonedDateAtTime(match.dueDate, timing.dueTime, timing.timeZone),
+    createdAt: zonedDateAtTime(match.creationDate, '00:00', timing.timeZone)
+  };
+}
+
+function addDays(base, days) {
+  const copy = new Date(base.valueOf());
+  copy.setUTCDate(copy.getUTCDate() + days);
+  return copy;
+}
+
+function auditKey(templateId, dueDate) {
+  return `${templateId}|${dueDate}`;
+}
+
+/**
+ * Finds the occurrence of template to create on today, if any. holidayCalendars
+ * comes from holidayCalendarsStore.getHolidaySets() and is only needed for
+ * templates that use a holiday calendar.
+ */
+function getCreationForDate(template, today, log = () => {}, holidayCalendars = new Map()) {
+  const activeWindow = scheduleWindow.getWindow(template);
+  if (activeWindow.activeFrom && today < activeWindow.activeFrom) {
+    log('Template is not active yet.', { activeFrom: template.activeFrom });
+    return null;
+  }
+  // Occurrences moved earlier by an exception can land on today from a
+  // scheduled creation date up to pullForwardDays later.
+  const { pullForwardDays } = occurrenceExceptions.shiftRange(template);
+  const lookahead = addDays(today, pullForwardDays);
+
+  let occurrences;
+  try {
+    occurrences = recurrenceEngine.occurrences(template, { holidayCalendars, from: today });
+  } catch (err) {
+    console.warn(`Template ${template.id} has an invalid RRULE: ${err.message}`);
+    return null;
+  }
+
+  log('Evaluating creation schedule', {
+    firstDueDate: template.firstDueDate,
+    recurrence: template.recurrence?.type || 'none',
+    daysBeforeDueDateToCreate: template.daysBeforeDueDateToCreate
+  });
+
+  for (const occurrence of occurrences) {
+    log('Iteration check', {
+      dueDate: occurrence.dueDate.toISOString().slice(0, 10),
+      creationDate: occurrence.creationDate.toISOString().slice(0, 10),
+      scheduledDueDate: occurrence.scheduledDueDate.toISOString().slice(0, 10)
+    });
+    if (occurrence.creationDate.getTime() > lookahead.getTime()) {
+      log('Creation date is in the future; stopping evaluation.');
+      return null;
+    }
+    if (occurrence.status !== 'active') continue;
+
+    const { match } = occurrence;
+    if (match && match.creationDate.getTime() === today.getTime()) {
+      log(match.originalDueDate ? 'Creation date matches today after an occurrence exception.' : 'Creation date matches today.', {
+        originalDueDate: match.originalDueDate
+      });
+      return match;
+    }
+    if (!match && occurrence.creationDate.getTime() === today.getTime()) {
+      log('Occurrence is skipped by an exception.');
+    }
+  }
+
+  log('Template schedule has ended or has no further occurrences.', { ends: template.ends });
+  return null;
+}
+
+async function readJobState() {
+  const raw = await fileStore.readJson(STATE_PATH);
+  return Array.isArray(raw) ? {} : raw;
+}
+
+async function writeJobState(state) {
+  await fileStore.writeJson(STATE_PATH, state);
+}
+
+function eachDay(start, end) {
+  const days = [];
+  for (let day = start; day.getTime() <= end.getTime(); day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Works out which days to evaluate. A simulated --date (or range) is used as
+ * given. Otherwise an explicit --since wins, falling back to the day after the
+ * last successful run so occurrences missed while the job was not running are
+ * still created. The audit trail prevents the overlap with earlier runs from
+ * producing duplicates.
+ */
+function evaluationDays({ options, state, today }) {
+  if (options.dateFrom) {
+    return eachDay(options.dateFrom, options.dateTo);
+  }
+
+  let start = today;
+  if (options.since) {
+    start = options.since;
+  } else if (options.catchUp && state.lastSuccessfulRun) {
+    start = addDays(toDateOnly(state.lastSuccessfulRun), 1);
+  }
+  if (start.getTime() > today.getTime()) {
+    start = today;
+  }
+  return eachDay(start, today);
+}
+
+/**
+ * Loads department/staff/team names for dry-run output. The lookup is
+ * best-effort: when osTicket is unreachable the report falls back to ids.
+ */
+async function loadReferenceNames(log) {
+  try {
+    const [departments, teams, staff] = await Promise.all([db.getDepartments(), db.getTeams(), db.getStaff()]);
+    return {
+      departments: new Map(departments.map((d) => [Number(d.id), d.name])),
+      teams: new Map(teams.map((t) => [Number(t.id), t.name])),
+      staff: new Map(staff.map((s) => [Number(s.id), s.displayName]))
+    };
+  } catch (err) {
+    log('Reference data unavailable; names will be blank.', err.message);
+    return { departments: new Map(), teams: new Map(), staff: new Map() };
+  }
+}
+
+function describePlannedTask({ template, match, timing, clientName, reference }) {
+  const departmentId = Number(template.departmentId) || 0;
+  const assigneeId = Number(template.assignee?.id) || 0;
+  const assigneeType = template.assignee?.type || 'none';
+  return {
+    templateId: template.id,
+    title: template.title,
+    description: template.description || '',
+    clientName,
+    creationDate: match.creationDate.toISOString().slice(0, 10),
+    dueDate: match.dueDate.toISOString().slice(0, 10),
+    dueAt: toDateTimeString(occurrenceTimes(match, timing).dueAt),
+    dueTime: timing.dueTime,
+    timeZone: timing.timeZone,
+    department: { id: departmentId, name: reference.departments.get(departmentId) || null },
+    assignee: { type: assigneeType, id: assigneeId, name: placeholders.assigneeName(template, reference) || null }
+  };
+}
+
+
+/**
+ * A template's child task definitions resolved against the template: a blank
+ * department or assignee inherits the template's, and each child is due
+ * dueOffsetDays after the occurrence's due date (negative = before it).
+ */
+function childTaskTemplates(template) {
+  return (template.childTasks || []).map((child) => ({
+    id: template.id,
+    clientId: template.clientId,
+    title: child.title,
+    description: child.description || '',
+    departmentId: Number(child.departmentId) || template.departmentId,
+    assignee: child.assignee?.id ? child.assignee : template.assignee,
+    dueOffsetDays: Number(child.dueOffsetDays) || 0
+  }));
+}
+
+function todayInZone(timeZone) {
+  const parts = getZonedParts(new Date(), timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+}
+
+// How a created task is listed in its run record.
+function runEntry(audit) {
+  return {
+    auditId: audit.id,
+    taskId: audit.taskId,
+    templateId: audit.templateId,
+    title: audit.title,
+    dueDate: audit.dueDate,
+    childTaskIds: (audit.childTasks || []).map((child) => child.taskId)
+  };
+}
+
+/**
+ * Runs the generator and returns a summary. Pending items in the retry queue
+ * whose backoff has elapsed are attempted first, then the days selected by the
+ * options (see evaluationDays) are evaluated. Non-dry runs hold the job lock
+ * for their whole duration and record the outcome in data/job-state.json and
+ * the run history (data/job-runs.json), then send any configured
+ * notifications.
+ *
+ * options: { trigger, since, catchUp, dryRun, dateFrom, dateTo, log }
+ */
+async function runTemplateJob(options = {}) {
+  const log = options.log || (() => {});
+  const trigger = options.trigger || 'manual';
+  const release = options.dryRun ? () => {} : jobLock.acquire(trigger);
+  const startedAt = new Date().toISOString();
+  const runId = uuidv4();
+  const runInfo = { id: runId, trigger, startedAt, from: null, to: null, templatesEvaluated: 0, daysEvaluated: 0 };
+  // Kept outside the try so a run that aborts still records what it did.
+  const created = [];
+  const skipped = [];
+  const failed = [];
+
+  try {
+    const settings = await settingsStore.getSettings();
+    const today = todayInZone(settings.calendar.timezone);
+    const [templates, clients, state, dueRetries, holidayCalendars] = await Promise.all([
+      templatesStore.getAll(),
+      clientsStore.getAll(),
+      readJobState(),
+      options.dryRun ? [] : retryQueueStore.getDue(),
+      holidayCalendarsStore.getHolidaySets()
+    ]);
+    const existing = await generatedTasksStore.getAll();
+    const planned = [];
+    const clientNameById = new Map(clients.map((c) => [c.id, c.name]));
+    const templateById = new Map(templates.map((t) => [t.id, t]));
+    const alreadyGenerated = new Map(
+      existing.filter((entry) => entry.taskId).map((entry) => [auditKey(entry.templateId, entry.dueDate), entry])
+    );
+    // Completion-based templates need the closed time of their last task.
+    // If osTicket cannot be reached they are skipped for this run.
+    let completionState = null;
+    try {
+      completionState = await completionRecurrence.loadCompletionState(templates, existing);
+    } catch (err) {
+      log('Could not load completion status for completion-based templates; skipping them.', err.message);
+    }
+    // Occurrences waiting in the retry queue are left to its backoff.
+    const queuedOccurrences = new Set(
+      (await retryQueueStore.getAll()).map((item) => auditKey(item.templateId, item.dueDate))
+    );
+    const days = evaluationDays({ options, state, today });
+    const firstDay = days[0].toISOString().slice(0, 10);
+    const lastDay = days[days.length - 1].toISOString().slice(0, 10);
+    Object.assign(runInfo, {
+      from: firstDay,
+      to: lastDay,
+      simulated: Boolean(options.dateFrom),
+      templatesEvaluated: templates.length,
+      daysEvaluated: days.length,
+      retriesAttempted: dueRetries.length
+    });
+    // Department/staff/team names for dry-run output and {{assignee.name}},
+    // loaded once on first use.
+    let referencePromise = null;
+    const getReference = () => {
+      if (!referencePromise) referencePromise = loadReferenceNames(log);
+      return referencePromise;
+    };
+    const ids = settings.osticketIds;
+    let idsVerified = null;
+    // Checked once, right before the first insert. When the check fails (bad
+    // ids or the database is down) every occurrence of the run fails with that
+    // error and goes to the retry queue.
+    const ensureIdsVerified = () => {
+      if (!idsVerified) {
+        log('Verifying osTicket task form ids', ids);
+        idsVerified = db.verifyTaskFormIds(ids);
+      }
+      return idsVerified;
+    };
+
+    // A completion-based occurrence is due on the first evaluated day on or
+    // after its creation date (the first one only on its exact creation day,
+    // like calendar-based templates).
+    function getCompletionMatch(template, day, scopedLog) {
+      if (!completionState) return null;
+      const timing = settingsStore.templateTiming(template, settings);
+      const next = completionRecurrence.nextCompletionOccurrence(
+        template,
+        completionState.get(template.id),
+        timing.timeZone,
+        holidayCalendars
+      );
+      if (!next) {
+        scopedLog('Waiting for the previous task to be closed in osTicket.');
+        return null;
+      }
+      const generated = completionState.get(template.id)?.count || 0;
+      if (scheduleWindow.occurrenceStatus(scheduleWindow.getWindow(template), next, generated) === 'ended') {
+        scopedLog('Template schedule has ended.', { ends: template.ends });
+        return null;
+      }
+      const isDue = next.first ? next.creationDate.getTime() === day.getTime() : next.creationDate.getTime() <= day.getTime();
+      if (!isDue) return null;
+      if (queuedOccurrences.has(auditKey(template.id, next.dueDate.toISOString().slice(0, 10)))) {
+        scopedLog('Occurrence is waiting in the retry queue.');
+        return null;
+      }
+      return { dueDate: next.dueDate, creationDate: next.creationDate };
+    }
+
+    // Once an occurrence of a completion-based template has been attempted,
+    // the next one waits for it to be closed.
+    function noteCompletionAttempt(template, dueDateKey, taskId = null) {
+      if (completionState && completionState.has(template.id)) {
+        const previous = completionState.get(template.id);
+        const count = previous.last?.dueDate === dueDateKey ? previous.count : previous.count + 1;
+        completionState.set(template.id, { last: { templateId: template.id, taskId, dueDate: dueDateKey }, closedAt: null, count });
+      }
+    }
+
+    // Creates one occurrence unless it already exists. Failures are recorded
+    // in the retry queue; successes clear any queued retry for it.
+    async function createOccurrence(template, match, scopedLog, retryItem = null) {
+      const dueDateKey = match.dueDate.toISOString().slice(0, 10);
+      const previous = alreadyGenerated.get(auditKey(template.id, dueDateKey));
+      if (previous) {
+        scopedLog('Task already created according to audit trail', { taskId: previous.taskId, dueDate: dueDateKey });
+        skipped.push({ templateId: template.id, title: template.title, dueDate: dueDateKey, taskId: previous.taskId });
+        if (retryItem) await retryQueueStore.remove(retryItem.id);
+        return;
+      }
+
+      const timing = settingsStore.templateTiming(template, settings);
+      const clientName = clientNameById.get(template.clientId) || null;
+      const reference = await getReference();
+      const renderFor = (taskTemplate, dueDate) =>
+        placeholders.renderTemplate(
+          taskTemplate,
+          placeholders.buildContext({
+            dueDate,
+            clientName,
+            assigneeName: placeholders.assigneeName(taskTemplate, reference),
+            fiscalStartMonth: placeholders.fiscalYearStartMonth(template)
+          })
+        );
+      // An exception can override the assignee of this one occurrence; child
+      // tasks without their own assignee follow it.
+      const override = match.exception || occurrenceExceptions.exceptionForActualDueDate(template, dueDateKey);
+      const occurrenceTemplate = override?.assignee ? { ...template, assignee: override.assignee } : template;
+      const taskTemplate = renderFor(occurrenceTemplate, match.dueDate);
+      const children = childTaskTemplates(occurrenceTemplate).map((child) => {
+        const childMatch = { dueDate: addDays(match.dueDate, child.dueOffsetDays), creationDate: match.creationDate };
+        return { template: renderFor(child, childMatch.dueDate), match: childMatch };
+      });
+      if (options.dryRun) {
+        const task = describePlannedTask({
+          template: taskTemplate,
+          match,
+          timing,
+          clientName,
+          reference
+        });
+        if (children.length) {
+          task.childTasks = children.map((child) =>
+            describePlannedTask({ template: child.template, match: child.match, timing, clientName, reference })
+          );
+        }
+        scopedLog('Task would be created', task);
+        planned.push(task);
+        noteCompletionAttempt(template, dueDateKey);
+        return;
+      }
+
+      noteCompletionAttempt(template, dueDateKey);
+
+      try {
+        await ensureIdsVerified();
+        const { dueAt, createdAt } = occurrenceTimes(match, timing);
+        const existingTask = await db.findExistingTask({ template: taskTemplate, dueAt, log: scopedLog });
+        if (existingTask) {
+          scopedLog('Task already exists in osTicket', { taskId: existingTask.id, dueDate: dueDateKey });
+          skipped.push({ templateId: template.id, title: taskTemplate.title, dueDate: dueDateKey, taskId: existingTask.id });
+          await retryQueueStore.removeOccurrence(template.id, dueDateKey);
+          return;
+        }
+
+        // A template with child tasks is written as one bundle so the whole
+        // checklist is created (or retried) together.
+        let taskId;
+        let data;
+        let childResults = [];
+        if (children.length) {
+          const results = await db.createTaskBundle({
+            tasks: [
+              { template: taskTemplate, dueAt },
+              ...children.map((child) => ({ template: child.template, dueAt: occurrenceTimes(child.match, timing).dueAt }))
+            ],
+            createdAt,
+            ids,
+            log: scopedLog
+          });
+          ({ taskId, data } = results[0]);
+          childResults = results.slice(1);
+        } else {
+          ({ taskId, data } = await db.createTaskFromTemplate({
+            template: taskTemplate,
+            dueAt,
+            createdAt,
+            ids,
+            log: scopedLog
+          }));
+        }
+
+        scopedLog('Task created', {
+          taskId,
+          childTaskIds: childResults.map((result) => result.taskId),
+          dueDate: dueDateKey,
+          creationDate: match.creationDate.toISOString().slice(0, 10)
+        });
+
+        const audit = {
+          id: uuidv4(),
+          taskId,
+          templateId: template.id,
+          title: taskTemplate.title,
+          clientName,
+          dueDate: dueDateKey,
+          creationDate: match.creationDate.toISOString().slice(0, 10),
+          dueAt: dueAt.toISOString(),
+          timeZone: timing.timeZone,
+          dbPayload: data,
+          runId,
+          createdAt: startedAt
+        };
+        if (match.originalDueDate && match.originalDueDate !== dueDateKey) {
+          audit.originalDueDate = match.originalDueDate;
+        }
+        if (children.length) {
+          audit.childTasks = children.map((child, index) => ({
+            taskId: childResults[index].taskId,
+            title: child.template.title,
+            departmentId: child.template.departmentId,
+            assignee: child.template.assignee,
+            dueDate: child.match.dueDate.toISOString().slice(0, 10),
+            dueAt: occurrenceTimes(child.match, timing).dueAt.toISOString(),
+            dbPayload: childResults[index].data
+          }));
+        }
+        if (retryItem) {
+          audit.retryAttempts = retryItem.attempts;
+        }
+        // Written as soon as the task exists, so a run that aborts later still
+        // leaves an audit entry for every task it created.
+        await generatedTasksStore.append(audit);
+        created.push(audit);
+        alreadyGenerated.set(auditKey(audit.templateId, audit.dueDate), audit);
+        noteCompletionAttempt(template, dueDateKey, taskId);
+        await retryQueueStore.removeOccurrence(template.id, dueDateKey);
+      } catch (err) {
+        scopedLog('Failed to create task from template', err.message);
+        const queued = await retryQueueStore.recordFailure({
+          templateId: template.id,
+          title: taskTemplate.title,
+          dueDate: dueDateKey,
+          creationDate: match.creationDate.toISOString().slice(0, 10),
+          error: err.message
+        });
+        failed.push({
+          templateId: template.id,
+          title: taskTemplate.title,
+          dueDate: dueDateKey,
+          error: err.message,
+          attempts: queued.attempts,
+          nextAttemptAt: queued.nextAttemptAt
+        });
+      }
+    }
+
+    log('Job start', {
+      trigger,
+      today: today.toISOString().slice(0, 10),
+      evaluatingFrom: firstDay,
+      evaluatingTo: lastDay,
+      dryRun: Boolean(options.dryRun),
+      lastSuccessfulRun: state.lastSuccessfulRun || null,
+      templateCount: templates.length,
+      clientCount: clients.length,
+      dueRetries: dueRetries.length
+    });
+
+    for (const item of dueRetries) {
+      const scopedLog = (...args) => log(`[retry ${item.id} - ${item.title}] [${item.dueDate}]`, ...args);
+      const template = templateById.get(item.templateId);
+      if (!template) {
+        scopedLog('Template no longer exists; dropping retry.');
+        await retryQueueStore.remove(item.id);
+        continue;
+      }
+      if (occurrenceExceptions.isPaused(template)) {
+        scopedLog('Template is paused; leaving retry queued.');
+        continue;
+      }
+      const exception = occurrenceExceptions.exceptionsByDueDate(template).get(item.dueDate);
+      if (exception && (exception.skip || (exception.newDueDate && exception.newDueDate !== item.dueDate))) {
+        scopedLog('Occurrence was skipped or moved by an exception; dropping retry.');
+        await retryQueueStore.remove(item.id);
+        continue;
+      }
+      scopedLog('Retrying failed task creation', { attempts: item.attempts });
+      await createOccurrence(
+        template,
+        { dueDate: toDateOnly(item.dueDate), creationDate: toDateOnly(item.creationDate) },
+        scopedLog,
+        item
+      );
+    }
+
+    for (const day of days) {
+      const dayKey = day.toISOString().slice(0, 10);
+      for (const template of templates) {
+        const scopedLog = (...args) => log(`[template ${template.id} - ${template.title}] [${dayKey}]`, ...args);
+        if (occurrenceExceptions.isPaused(template)) {
+          scopedLog('Template is paused.');
+          continue;
+        }
+        scopedLog('Evaluating template');
+        const match = completionRecurrence.isCompletionBased(template)
+          ? getCompletionMatch(template, day, scopedLog)
+          : getCreationForDate(template, day, scopedLog, holidayCalendars);
+        if (!match) {
+          scopedLog('No creation scheduled for this day.');
+          continue;
+        }
+        await createOccurrence(template, match, scopedLog);
+      }
+    }
+
+    const result = {
+      runId: options.dryRun ? null : runId,
+      trigger,
+      dryRun: Boolean(options.dryRun),
+      from: firstDay,
+      to: lastDay,
+      dayCount: days.length,
+      simulated: Boolean(options.dateFrom),
+      retriesAttempted: dueRetries.length,
+      created,
+      planned,
+      skipped,
+      failed
+    };
+    if (options.dryRun) {
+      return result;
+    }
+
+    const nextState = {
+      ...state,
+      lastRun: {
+        trigger,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        from: firstDay,
+        to: lastDay,
+        status: failed.length ? 'failed' : 'success',
+        created: created.length,
+        skipped: skipped.length,
+        failed: failed.length
+      }
+    };
+    // Failed occurrences are in the retry queue, so the marker can move on,
+    // but only over days this run evaluated: a run that started after the day
+    // following the marker (e.g. --no-catch-up) leaves the gap for a later
+    // catch-up. Simulated dates never move it.
+    const coveredSinceMarker = !state.lastSuccessfulRun
+      || firstDay <= addDays(toDateOnly(state.lastSuccessfulRun), 1).toISOString().slice(0, 10);
+    if (!options.dateFrom && coveredSinceMarker) {
+      nextState.lastSuccessfulRun = lastDay;
+      nextState.lastRunAt = startedAt;
+    }
+    await writeJobState(nextState);
+    const run = await runsStore.create({
+      ...runInfo,
+      finishedAt: nextState.lastRun.finishedAt,
+      status: nextState.lastRun.status,
+      created: created.map(runEntry),
+      skipped,
+      failed
+    });
+    await notifier.notifyRun(run);
+
+    return result;
+  } catch (err) {
+    // Aborted runs (e.g. invalid osTicket ids) are recorded too so they show
+    // up on the Runs page.
+    if (!options.dryRun) {
+      const run = await runsStore
+        .create({
+          ...runInfo,
+          finishedAt: new Date().toISOString(),
+          status: 'error',
+          error: err.message,
+          created: created.map(runEntry),
+          skipped,
+          failed
+        })
+        .catch((recordErr) => console.error('Failed to record job run:', recordErr.message));
+      if (run) await notifier.notifyRun(run);
+    }
+    throw err;
+  } finally {
+    release();
+  }
+}
+
+async function close() {
+  await db.close();
+}
+
+module.exports = {
+  runTemplateJob,
+  getCreationForDate,
+  readJobState,
+  close
+};
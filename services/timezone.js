@@ -0,0 +1,99 @@
+/**
+ * Small helpers for working with IANA timezones using only Intl, so wall-clock
+ * times (e.g. "00:05 in America/New_York") can be converted to UTC instants
+ * with daylight saving time handled correctly.
+ */
+
+const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = formatter.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+// Offset in milliseconds between the zone's wall clock and UTC at the given instant.
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Converts a wall-clock time in the given zone to a UTC Date. Month is 1-based.
+ * Times skipped by a DST jump move forward by the length of the jump (02:30 on
+ * a night that skips 02:00-03:00 becomes 03:30), whichever side of UTC the
+ * zone is on; times that occur twice resolve to the earlier instant.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offsets in force on either side of any DST change around this time.
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - MILLIS_PER_DAY), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + MILLIS_PER_DAY), timeZone);
+  // An instant matches when the zone shows this wall clock time at it.
+  const matching = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant) => getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant);
+  if (matching.length) {
+    return new Date(Math.min(...matching));
+  }
+  // In a gap: read with the offset from before the jump, the time lands the
+  // length of the gap after it.
+  return new Date(wallClock - offsetBefore);
+}
+
+/**
+ * Returns the UTC instant for a calendar date (a UTC-midnight Date or
+ * YYYY-MM-DD string) at the given HH:MM time in the given zone.
+ */
+function zonedDateAtTime(dateOnly, time, timeZone) {
+  const date = typeof dateOnly === 'string' ? new Date(`${dateOnly}T00:00:00Z`) : dateOnly;
+  const { hour, minute } = parseTimeOfDay(time) || { hour: 0, minute: 0 };
+  return zonedTimeToUtc(
+    { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute },
+    timeZone
+  );
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseTimeOfDay,
+  zonedDateAtTime,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc
+};